@@ -0,0 +1,244 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+var fs = require('fs')
+var readline = require('readline')
+
+// Keeps an audit trail of the writes made by a store: every insert, update and
+// delete (restores included) makes up an entry, written to `auditSink`.
+// The store's own history can be read with apiHistory() or, with HTTPMixin, with
+// `GET /store/:id/_history` (if `handleHistory` is set).
+// NOTE: entries are written by the afterDbOperationInsert/Update/Delete hooks (and
+// beforeDbOperationUpdate keeps the record as it was before the update): stores
+// redefining them must call `super`
+var AuditMixin = (superclass) => class extends superclass {
+  constructor () {
+    super()
+    this.auditSink = this.constructor.auditSink
+    this.handleHistory = this.constructor.handleHistory
+    this.historyLimit = this.constructor.historyLimit
+  }
+
+  // Where entries go: the name of a store, a function called with
+  // `(entry, request)`, or `{ file: path }` (one JSON entry per line)
+  static get auditSink () {
+    return null
+  }
+
+  static get handleHistory () {
+    return false
+  }
+
+  // Max number of entries returned by the history of a record
+  static get historyLimit () {
+    return 1000
+  }
+
+  // The user who made the change, as placed in the entry
+  auditUser (request) {
+    return this.sessionUser(request)
+  }
+
+  // Works out the fields that changed between `before` and `after`,
+  // as `{ field: { from, to } }`
+  _auditDiff (before, after) {
+    var diff = {}
+    var value = (doc, k) => doc && typeof doc[k] !== 'undefined' ? doc[k] : null
+
+    Object.keys(Object.assign({}, before, after)).forEach((k) => {
+      var from = value(before, k)
+      var to = value(after, k)
+      if (JSON.stringify(from) !== JSON.stringify(to)) diff[k] = { from, to }
+    })
+    return diff
+  }
+
+  _makeAuditEntry (request, method, operation, before, after) {
+    var doc = after || before || {}
+    var recordId = typeof doc[this.idProperty] !== 'undefined' ? doc[this.idProperty] : request.params[this.idProperty]
+
+    return {
+      storeName: this.storeName,
+      method,
+      operation,
+      recordId: recordId === null || typeof recordId === 'undefined' ? null : String(recordId),
+      params: Object.assign({}, request.params),
+      user: this.auditUser(request),
+      before: before || null,
+      after: after || null,
+      diff: this._auditDiff(before, after),
+      timestamp: new Date()
+    }
+  }
+
+  // Entries written to a store have `params`, `before`, `after` and `diff` as
+  // JSON strings, so that they can be kept in text columns. They are written
+  // as part of the request's transaction, if there is one. Function and file
+  // sinks can't be part of it: entries are only passed to them once the
+  // transaction is committed (and never if it's rolled back)
+  async _writeAuditEntry (request, entry) {
+    var sink = this.auditSink
+
+    if (typeof sink === 'function') return this._afterCommit(request, () => sink(entry, request))
+
+    if (typeof sink === 'string') {
+      var auditStore = this.constructor.getStore(sink)
+      if (!auditStore) throw new Error('Audit store not found: ' + sink + ' (store ' + this.storeName + ')')
+
+      var body = Object.assign({}, entry)
+      ;[ 'params', 'before', 'after', 'diff' ].forEach((k) => { body[k] = JSON.stringify(entry[k]) })
+      return auditStore.apiPost(body, { transaction: request.transaction })
+    }
+
+    if (sink && sink.file) return this._afterCommit(request, () => fs.promises.appendFile(sink.file, JSON.stringify(entry) + '\n'))
+
+    throw new Error('Invalid auditSink in store ' + this.storeName)
+  }
+
+  async _audit (request, method, operation, before, after) {
+    if (!this.auditSink) return
+    await this._writeAuditEntry(request, this._makeAuditEntry(request, method, operation, before, after))
+  }
+
+  async beforeDbOperationUpdate (request, method) {
+    await super.beforeDbOperationUpdate(request, method)
+    request.auditBefore = request.doc
+  }
+
+  async afterDbOperationInsert (request, method) {
+    await super.afterDbOperationInsert(request, method)
+    await this._audit(request, method, 'insert', null, request.doc)
+  }
+
+  async afterDbOperationUpdate (request, method) {
+    await super.afterDbOperationUpdate(request, method)
+    await this._audit(request, method, 'update', request.auditBefore, request.doc)
+  }
+
+  async afterDbOperationDelete (request, method) {
+    await super.afterDbOperationDelete(request, method)
+    await this._audit(request, method, 'delete', request.doc, null)
+  }
+
+  // Input: request.params
+  // Output: the entries of the record, oldest first.
+  // Entries can only be read back from store and file sinks; with a
+  // function sink, this method needs to be redefined
+  async implementHistory (request) {
+    var sink = this.auditSink
+    var recordId = String(request.params[this.idProperty])
+    var entries
+
+    if (typeof sink === 'string') {
+      // The latest entries are fetched (a sort value of 1 means descending)
+      var auditStore = this.constructor.getStore(sink)
+      var { data } = await auditStore.apiGetQuery({
+        conditionsHash: { storeName: this.storeName, recordId },
+        sort: { timestamp: 1 },
+        ranges: { skip: 0, limit: this.historyLimit },
+        transaction: request.transaction
+      })
+      entries = data.map((entry) => {
+        entry = Object.assign({}, entry)
+        ;[ 'params', 'before', 'after', 'diff' ].forEach((k) => {
+          if (typeof entry[k] === 'string') entry[k] = JSON.parse(entry[k])
+        })
+        return entry
+      })
+    } else if (sink && sink.file) {
+      // The file is read line by line, keeping the latest entries of the record.
+      // It's still read whole on every request: large logs need a store sink
+      entries = []
+      var lines = readline.createInterface({ input: fs.createReadStream(sink.file), crlfDelay: Infinity })
+      try {
+        for await (var line of lines) {
+          if (line.trim() === '') continue
+          var entry = JSON.parse(line)
+          if (entry.storeName !== this.storeName || entry.recordId !== recordId) continue
+          entries.push(entry)
+          if (entries.length > this.historyLimit) entries.shift()
+        }
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e
+      } finally {
+        lines.close()
+      }
+    } else {
+      throw new this.constructor.NotImplementedError()
+    }
+
+    return entries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+  }
+
+  // A copy of a history entry without the fields the session can't read
+  // (in `before`, `after` and `diff`)
+  _removeUnreadableEntryFields (request, entry) {
+    var diff = {}
+    for (var k in entry.diff || {}) {
+      if (this._fieldAllowed(request, k, 'readRoles')) diff[k] = entry.diff[k]
+    }
+
+    return Object.assign({}, entry, {
+      before: this._removeUnreadableFields(request, entry.before),
+      after: this._removeUnreadableFields(request, entry.after),
+      diff
+    })
+  }
+
+  async _makeHistory (request) {
+    var self = this
+
+    request.docs = null
+
+    // Check that the method is implemented
+    if (!self.handleHistory && request.remote) throw new self.constructor.NotImplementedError()
+
+    // Count the request, and throw if it's over the rate limits
+    await self._checkRateLimits(request, 'history')
+
+    // Check the IDs
+    await self.beforeCheckParamIds(request, 'history')
+    await self._checkParamIds(request, true)
+    await self.afterCheckParamIds(request, 'history')
+
+    // The record is made available to checkPermissions(); it will be null
+    // if it was deleted, since its history is still there
+    request.doc = await self.implementFetch(request, 'history') || null
+    self._checkDocBelongsToParents(request)
+
+    // Check permissions
+    if (request.remote) {
+      await self.beforeCheckPermissions(request, 'history')
+      var { granted, message } = await self.checkPermissions(request, 'history')
+      if (!granted) throw new self.constructor.ForbiddenError(message)
+      await self.afterCheckPermissions(request, 'history')
+    }
+
+    request.docs = await self.implementHistory(request) || []
+
+    // Send over to the client
+    if (request.remote) request.docs = request.docs.map((entry) => self._removeUnreadableEntryFields(request, entry))
+    await self.beforeReturn(request, 'history')
+    return request.docs
+  }
+
+  async apiHistory (id, options) {
+    options = options || {}
+
+    // Make up the request
+    var request = this._makeApiRequest(options)
+    if (options.apiParams) request.params = options.apiParams
+    else request.params[ this.idProperty ] = id
+
+    // Actually run the request
+    return this._makeHistory(request)
+  }
+}
+
+exports = module.exports = AuditMixin
@@ -12,6 +12,7 @@ var url = require('url')
 var querystring = require('querystring')
 var multer = require('multer')
 var crypto = require('crypto')
+var { defaultLimit, readBody } = require('./bodyReader')
 
 var HTTPMixin = (superclass) => class extends superclass {
   //
@@ -27,12 +28,23 @@ var HTTPMixin = (superclass) => class extends superclass {
   // How to chain errors
   static get chainErrors () { return 'nonhttp' }
 
+  // Maximum size (in bytes) of patch bodies read by the store rather than by a body parser
+  static get patchBodyLimit () { return defaultLimit }
+
+  // Server-Sent Events feed of the store's changes, and how often (in ms)
+  // a comment is sent to keep its connections open
+  static get handleEvents () { return false }
+  static get eventsKeepAlive () { return 30000 }
+
   constructor () {
     super()
     this.uploadFields = this.constructor.uploadFields
     this.uploadLimits = this.constructor.uploadLimits
     this.chainerrors = this.constructor.chainerrors
     this.uploadFilter = this.constructor.uploadFilter
+    this.handleEvents = this.constructor.handleEvents
+    this.eventsKeepAlive = this.constructor.eventsKeepAlive
+    this.patchBodyLimit = this.constructor.patchBodyLimit
   }
 
   // Sends the information out, for HTTP calls.
@@ -49,6 +61,25 @@ var HTTPMixin = (superclass) => class extends superclass {
     if (method === 'error') responseBody = self.formatErrorResponse(data)
     else responseBody = data
 
+    // Records carry their version as ETag. A record with related records included
+    // carries no version (and no Last-Modified), since they can change without the
+    // record changing: it's always sent in full
+    var included = method === 'get' && Array.isArray(request.options.include) && request.options.include.length > 0
+    if (method !== 'error' && request.docVersion && !included) {
+      request._res.setHeader('ETag', '"' + request.docVersion + '"')
+    }
+
+    // Rate limits: the state of the limit closest to being exceeded and, if one
+    // was exceeded, when to try again
+    if (request.rateLimit) {
+      request._res.setHeader('RateLimit-Limit', String(request.rateLimit.limit))
+      request._res.setHeader('RateLimit-Remaining', String(request.rateLimit.remaining))
+      request._res.setHeader('RateLimit-Reset', String(request.rateLimit.reset))
+    }
+    if (method === 'error' && typeof data.retryAfter !== 'undefined') {
+      request._res.setHeader('Retry-After', String(data.retryAfter))
+    }
+
     // Sets location and range headers
     switch (method) {
       case 'post':
@@ -64,6 +95,8 @@ var HTTPMixin = (superclass) => class extends superclass {
         break
 
       case 'delete':
+      case 'patch':
+      case 'restore':
         status = 200
         break
 
@@ -72,7 +105,15 @@ var HTTPMixin = (superclass) => class extends superclass {
         break
 
       case 'getQuery':
-        if (request.options.ranges) {
+        // In cursor mode, links to the next and previous pages are in the Link header.
+        // Offsets mean nothing here, so there is no Content-Range
+        if (self.cursorPagination) {
+          var links = []
+          if (request.nextCursor) links.push('<' + self._cursorURL(request, request.nextCursor) + '>; rel="next"')
+          if (request.prevCursor) links.push('<' + self._cursorURL(request, request.prevCursor) + '>; rel="prev"')
+          if (links.length) request._res.setHeader('Link', links.join(', '))
+          if (typeof request.grandTotal !== 'undefined') request._res.setHeader('X-Total-Count', String(request.grandTotal))
+        } else if (request.options.ranges) {
           // Working out from-to/of
           // Note that if no records were returned, the format should be 0-0/X
 
@@ -98,13 +139,85 @@ var HTTPMixin = (superclass) => class extends superclass {
             request._res.setHeader('Content-Range', 'items ' + from + '-' + to + '/' + of)
           }
         }
+
+        // The ETag of a query depends on what is returned, range included
+        var contentRange = request._res.getHeader('Content-Range') || ''
+        var queryVersion = crypto.createHash('sha1').update(JSON.stringify(responseBody) + contentRange).digest('hex')
+        request._res.setHeader('ETag', '"' + queryVersion + '"')
         break
     }
 
+    // Set Last-Modified, if the store has an updatedAtField. Not for queries, since
+    // it can't change when records are deleted or stop matching the query: a
+    // client sending it back with If-Modified-Since would get a stale 304
+    var lastModified = method !== 'error' && method !== 'getQuery' && !included ? self._lastModified(data) : null
+    if (lastModified) request._res.setHeader('Last-Modified', lastModified.toUTCString())
+
+    // Conditional GET: if the client already has what would be sent, send a
+    // 304 with no body
+    if ((method === 'get' || method === 'getQuery') && !included && self._notModified(request, lastModified)) {
+      request._res.status(304).end()
+      return
+    }
+
     // Send the response using HTTP
     request._res.status(status).json(responseBody)
   }
 
+  // The URL of the current request, with the `cursor` parameter set to `cursor`
+  _cursorURL (request, cursor) {
+    var urlParts = url.parse(request._req.originalUrl, true)
+    urlParts.query.cursor = cursor
+    delete urlParts.search
+    return url.format(urlParts)
+  }
+
+  // Works out the last modification date of a record (or, for an array of
+  // records, of the most recently modified one) using the store's updatedAtField
+  _lastModified (data) {
+    var self = this
+
+    if (!self.updatedAtField || !data) return null
+
+    var docs = Array.isArray(data) ? data : [ data ]
+    var r = null
+    docs.forEach((doc) => {
+      if (!doc || doc[ self.updatedAtField ] === null || typeof doc[ self.updatedAtField ] === 'undefined') return
+
+      var d = new Date(doc[ self.updatedAtField ])
+      if (isNaN(d)) return
+      if (!r || d > r) r = d
+    })
+    return r
+  }
+
+  // Checks If-None-Match and If-Modified-Since against the ETag and Last-Modified
+  // headers that are about to be sent. As per RFC 7232, If-Modified-Since is
+  // ignored when If-None-Match is there
+  _notModified (request, lastModified) {
+    var req = request._req
+    var ifNoneMatch = req.headers[ 'if-none-match' ]
+    var ifModifiedSince = req.headers[ 'if-modified-since' ]
+
+    if (typeof ifNoneMatch === 'string') {
+      if (ifNoneMatch.trim() === '*') return true
+
+      var etag = request._res.getHeader('ETag')
+      if (!etag) return false
+      return (this._parseETags(ifNoneMatch) || []).indexOf(etag.replace(/^"(.*)"$/, '$1')) !== -1
+    }
+
+    if (typeof ifModifiedSince === 'string' && lastModified) {
+      var since = new Date(ifModifiedSince)
+      if (isNaN(since)) return false
+
+      // HTTP dates only have a precision of one second
+      return Math.floor(lastModified.getTime() / 1000) <= Math.floor(since.getTime() / 1000)
+    }
+
+    return false
+  }
+
   protocolListenHTTP (params) {
     var url = this.getFullPublicURL()
     var app = params.app
@@ -164,12 +277,21 @@ var HTTPMixin = (superclass) => class extends superclass {
     // console.log('URL:', url)
 
     // Make entries in "app", so that the application
-    // will give the right responses
+    // will give the right responses. The events feed comes first, since
+    // `_events` would otherwise be taken as an ID
+    if (this.handleEvents) app.get(url + '_events', this._getRequestHandler('events'))
     app.get(url + idName, this._getRequestHandler('get'))
     app.get(url, this._getRequestHandler('getQuery'))
     app.put(url + idName, uploadMiddleware, this._getRequestHandler('put'))
     app.post(url, uploadMiddleware, this._getRequestHandler('post'))
     app.delete(url + idName, this._getRequestHandler('delete'))
+    app.patch(url + idName, this._patchBodyParser.bind(this), this._getRequestHandler('patch'))
+
+    // In soft-delete mode, records are taken out of the trash with a POST
+    if (this.softDelete) app.post(url + idName + '/restore', this._getRequestHandler('restore'))
+
+    // Stores with an audit trail (see AuditMixin) can return a record's history
+    if (this.handleHistory) app.get(url + idName + '/_history', this._getRequestHandler('history'))
 
     // Add store entries for single fields
     Object.keys(this._singleFields).forEach(function (key) {
@@ -178,6 +300,46 @@ var HTTPMixin = (superclass) => class extends superclass {
     })
   }
 
+  // Body parsers normally used with Express don't know about the patch content
+  // types. If the body wasn't parsed already, it's read (up to patchBodyLimit
+  // bytes) and parsed here. Errors are sent as the store would send them,
+  // unless all errors are to be chained
+  _patchBodyParser (req, res, next) {
+    var type = this._patchType(req)
+
+    // Already parsed, or not a patch content type: nothing to do
+    if (req._body || !type) return next(null)
+
+    var fail = (error) => {
+      if (this.constructor.chainErrors === 'all') return next(error)
+      res.status(Number(error.status)).json(this.formatErrorResponse(error))
+    }
+
+    readBody(req, this.patchBodyLimit).then((body) => {
+      try {
+        req.body = JSON.parse(body || 'null')
+        req._body = true
+      } catch (e) {
+        return fail(new this.constructor.BadRequestError('Invalid JSON in patch: ' + e.message))
+      }
+      next(null)
+    }, (error) => {
+      if (typeof error.status === 'undefined') return next(error)
+      fail(error)
+    })
+  }
+
+  // Works out the patch type from the request's content type:
+  // `merge` for application/merge-patch+json (and plain application/json),
+  // `json` for application/json-patch+json, null for anything else
+  _patchType (req) {
+    var contentType = (req.headers[ 'content-type' ] || '').split(';')[0].trim().toLowerCase()
+
+    if (contentType === 'application/merge-patch+json' || contentType === 'application/json') return 'merge'
+    if (contentType === 'application/json-patch+json') return 'json'
+    return null
+  }
+
   // Will make sure only fields marked as file uploads are accepted
   _multerFileFilter (req, file, cb) {
     var self = this
@@ -235,8 +397,8 @@ var HTTPMixin = (superclass) => class extends superclass {
   _getRequestHandler (method, field) {
     var self = this
 
-    if ([ 'get', 'getQuery', 'put', 'post', 'delete', 'getField', 'putField' ].indexOf(method) === -1) {
-      throw (new Error('method can be get, getQuery, put, post, delete, fetField, putField'))
+    if ([ 'get', 'getQuery', 'put', 'post', 'delete', 'patch', 'restore', 'history', 'events', 'getField', 'putField' ].indexOf(method) === -1) {
+      throw (new Error('method can be get, getQuery, put, post, delete, patch, restore, history, events, fetField, putField'))
     }
 
     return async function (req, res, next) {
@@ -246,13 +408,14 @@ var HTTPMixin = (superclass) => class extends superclass {
       try {
         var _sleep = (ms) => { if (!ms) return; return new Promise(resolve => setTimeout(resolve, ms)) }
 
-        Object.setPrototypeOf(req.body, Object.prototype)
+        if (typeof req.body === 'object' && req.body !== null && !Array.isArray(req.body)) Object.setPrototypeOf(req.body, Object.prototype)
 
         // Sets all of the required fields for a request
+        // (For patches, the body is worked out from the patch, set in request.options)
         request.remote = true
         request.protocol = 'HTTP'
         request.params = self._co(req.params) // NOTE: this is a copy
-        request.body = self._co(req.body) // NOTE: this is a copy
+        request.body = method === 'patch' || method === 'restore' ? {} : self._co(req.body) // NOTE: this is a copy
         request.session = req.session
         request.options = {}
 
@@ -273,6 +436,8 @@ var HTTPMixin = (superclass) => class extends superclass {
         } else if (method === 'putField') {
           funcName = 'Put'
           request.options.field = field
+        } else if (method === 'patch') {
+          funcName = 'Put'
         } else {
           funcName = method[0].toUpperCase() + method.slice(1)
         }
@@ -282,7 +447,9 @@ var HTTPMixin = (superclass) => class extends superclass {
 
         try {
           var data = await self['_make' + funcName](request)
-          self.protocolSendHTTP(request, method, data)
+
+          // The events feed is a stream, already sent by _makeEvents()
+          if (method !== 'events') self.protocolSendHTTP(request, method, data)
         } catch (error) {
           // Let the store log the error
           self.logError(request, error)
@@ -309,6 +476,78 @@ var HTTPMixin = (superclass) => class extends superclass {
     }
   }
 
+  // Streams the store's change events with Server-Sent Events. The events are
+  // the ones emitted by the store (see `on()`), named after their type, with the
+  // record as data. Only records matching the request's params are sent, and
+  // only if checkPermissions() grants `get` on them to the client
+  async _makeEvents (request) {
+    var self = this
+    var types = [ 'inserted', 'updated', 'deleted' ]
+
+    // Count the request, and throw if it's over the rate limits
+    await self._checkRateLimits(request, 'events')
+
+    // Check the IDs
+    await self.beforeCheckParamIds(request, 'events')
+    await self._checkParamIds(request, true)
+    await self.afterCheckParamIds(request, 'events')
+
+    // Check permissions
+    await self.beforeCheckPermissions(request, 'events')
+    var { granted, message } = await self.checkPermissions(request, 'events')
+    if (!granted) throw new self.constructor.ForbiddenError(message)
+    await self.afterCheckPermissions(request, 'events')
+
+    var res = request._res
+    res.status(200)
+    res.setHeader('Content-Type', 'text/event-stream')
+    res.setHeader('Cache-Control', 'no-cache')
+    res.setHeader('Connection', 'keep-alive')
+    res.flushHeaders()
+
+    // Events are sent one at a time, so that they arrive in order
+    // even though permissions are checked asynchronously
+    var queue = Promise.resolve()
+    var listener = (event) => {
+      queue = queue.then(() => self._sendEvent(request, event)).catch((error) => self.logError(request, error))
+    }
+    types.forEach((type) => self.on(type, listener))
+
+    var keepAlive = setInterval(() => res.write(': keep-alive\n\n'), self.eventsKeepAlive)
+    request._req.on('close', () => {
+      clearInterval(keepAlive)
+      types.forEach((type) => self.off(type, listener))
+    })
+  }
+
+  async _sendEvent (request, event) {
+    var doc = event.doc
+    if (!doc) return
+
+    // The record must belong to the parents in the URL
+    for (var paramId in request.params) {
+      if (typeof doc[ paramId ] !== 'undefined' && doc[ paramId ] != request.params[ paramId ]) return
+    }
+
+    // The client must be allowed to get the record
+    var getRequest = {
+      remote: true,
+      protocol: 'HTTP',
+      session: request.session,
+      params: Object.assign({}, request.params, { [ this.idProperty ]: doc[ this.idProperty ] }),
+      body: {},
+      options: {},
+      doc,
+      _req: request._req,
+      _res: request._res
+    }
+    var { granted } = await this.checkPermissions(getRequest, 'get')
+    if (!granted) return
+
+    doc = this._removeUnreadableFields(getRequest, doc)
+    request._res.write('event: ' + event.type + '\ndata: ' + JSON.stringify(doc) + '\n\n')
+  }
+
   _initOptionsFromReq (method, req) {
     var self = this
 
@@ -325,6 +564,23 @@ var HTTPMixin = (superclass) => class extends superclass {
       }
     }
 
+    // A specific If-Match sets the 'ifMatch' option, which will make the
+    // request fail if the record's version is different
+    if (method === 'put' || method === 'patch' || method === 'delete' || method === 'restore') {
+      var ifMatch = self._parseETags(req.headers[ 'if-match' ])
+      if (ifMatch) options.ifMatch = ifMatch
+    }
+
+    // Patches are set as options; the content type decides the patch type
+    if (method === 'patch') {
+      options.patchType = self._patchType(req)
+      if (!options.patchType) {
+        var UnsupportedMediaTypeError = self.constructor.UnsupportedMediaTypeError
+        throw new UnsupportedMediaTypeError('Patches must be application/merge-patch+json or application/json-patch+json')
+      }
+      options.patch = typeof req.body === 'undefined' ? null : req.body
+    }
+
     // deleteAfterGetQuery will depend on the store's setting
     if (method === 'getQuery') {
       if (self.deleteAfterGetQuery) options.delete = !!self.deleteAfterGetQuery
@@ -349,10 +605,29 @@ var HTTPMixin = (superclass) => class extends superclass {
     if (method === 'getQuery') {
       options.sort = self._parseSortBy(req)
       options.ranges = self._parseRangeHeaders(req)
+
+      var filter = self._parseFilter(req)
+      if (filter) options.filter = filter
+
+      // Cursor pagination: `cursor=...`
+      var cursor = querystring.decode(url.parse(req.url, false).query || '').cursor
+      if (self.cursorPagination && typeof cursor === 'string') options.cursor = cursor
+
+      // Soft delete: `trashed=1` lists the records in the trash
+      var trashed = querystring.decode(url.parse(req.url, false).query || '').trashed
+      if (self.softDelete && typeof trashed !== 'undefined') options.trashed = [ '1', 'true' ].indexOf(String(trashed)) !== -1
     }
 
     if (method === 'getQuery' || method === 'get') {
       options.conditionsHash = self._parseConditions(req)
+
+      // Sparse fieldsets: `fields=name,surname`
+      var fields = querystring.decode(url.parse(req.url, false).query || '').fields
+      if (typeof fields !== 'undefined') options.fields = Array.isArray(fields) ? fields.join(',') : fields
+
+      // Related records: `include=author,comments`
+      var include = querystring.decode(url.parse(req.url, false).query || '').include
+      if (typeof include !== 'undefined') options.include = Array.isArray(include) ? include.join(',') : include
     }
 
     // If the range wasn't provided, it will force it to be the one set by the
@@ -373,6 +648,16 @@ var HTTPMixin = (superclass) => class extends superclass {
     return options
   }
 
+  // Parses a list of ETags as found in If-Match and If-None-Match, returning
+  // an array of versions (without quotes and weak prefix), or null if the header
+  // is not there or is `*`
+  _parseETags (header) {
+    if (typeof header !== 'string' || header.trim() === '*') return null
+
+    var r = header.split(',').map((etag) => etag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1')).filter((etag) => etag !== '')
+    return r.length ? r : null
+  }
+
   _parseSortBy (req) {
     var urlParts = url.parse(req.url, false)
     var q = urlParts.query || ''
@@ -407,6 +692,21 @@ var HTTPMixin = (superclass) => class extends superclass {
     return sortObject
   }
 
+  // The `filter` parameter is a JSON expression, validated by the store
+  _parseFilter (req) {
+    var urlParts = url.parse(req.url, false)
+    var filter = querystring.decode(urlParts.query || '').filter
+
+    if (typeof filter !== 'string' || filter === '') return null
+
+    try {
+      return JSON.parse(filter)
+    } catch (e) {
+      var BadRequestError = this.constructor.BadRequestError
+      throw new BadRequestError({ errors: [ { field: 'filter', message: 'Filter is not valid JSON' } ] })
+    }
+  }
+
   _parseRangeHeaders (req) {
     var tokens
     var rangeFrom, rangeTo, limit
@@ -442,6 +742,31 @@ var HTTPMixin = (superclass) => class extends superclass {
 
     result = querystring.decode(q)
     delete result.sortBy
+    delete result.filter
+    delete result.fields
+    delete result.include
+    if (this.cursorPagination) delete result.cursor
+    if (this.softDelete) delete result.trashed
+
+    // Turn `field[operator]=value` into `{ field: { operator: value } }`.
+    // For `in` and `between`, comma-separated values become arrays
+    for (var k in result) {
+      var tokens = k.match(/^(.+)\[(\w+)\]$/)
+      if (!tokens) continue
+
+      var field = tokens[1]
+      var operator = tokens[2]
+      var value = result[ k ]
+      delete result[ k ]
+
+      if ((operator === 'in' || operator === 'between') && !Array.isArray(value)) value = value.split(',')
+
+      // A plain `field=value` is the same as `field[eq]=value`
+      if (typeof result[ field ] !== 'object' || result[ field ] === null || Array.isArray(result[ field ])) {
+        result[ field ] = typeof result[ field ] === 'undefined' ? {} : { eq: result[ field ] }
+      }
+      result[ field ][ operator ] = value
+    }
 
     return result
   }
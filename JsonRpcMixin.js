@@ -0,0 +1,147 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+var { statuses, makeRequest, runRequest } = require('./operations')
+var { defaultLimit, readBody } = require('./bodyReader')
+
+// Express apps, each one with its JSON-RPC routes (by URL), each one
+// with the stores listening on it (by name). Registries have no prototype,
+// so that names like `constructor` aren't found in them
+var apps = new WeakMap()
+
+function rpcError (id, code, message, data) {
+  var error = { code, message }
+  if (typeof data !== 'undefined') error.data = data
+  return { jsonrpc: '2.0', error, id }
+}
+
+// Runs one call, returning its response (or null, for notifications)
+async function runCall (stores, call, req) {
+  if (typeof call !== 'object' || call === null || Array.isArray(call) || call.jsonrpc !== '2.0' || typeof call.method !== 'string') {
+    return rpcError(null, -32600, 'Invalid Request')
+  }
+
+  var id = typeof call.id !== 'undefined' ? call.id : null
+  var isNotification = typeof call.id === 'undefined'
+  var respond = (response) => isNotification ? null : response
+
+  // Methods are `storeName.method`
+  var dot = call.method.lastIndexOf('.')
+  var store = stores[ call.method.slice(0, dot) ]
+  var method = call.method.slice(dot + 1)
+  if (dot === -1 || !store || typeof statuses[ method ] === 'undefined') {
+    return respond(rpcError(id, -32601, 'Method not found'))
+  }
+
+  // Parameters are by name: `params`, `body` and `options`
+  var params = call.params || {}
+  if (typeof params !== 'object' || Array.isArray(params)) return respond(rpcError(id, -32602, 'Invalid params'))
+
+  var request = makeRequest(store, { method, params: params.params, body: params.body, options: params.options }, 'JSON-RPC', req)
+
+  try {
+    var data = await runRequest(store, method, request)
+  } catch (error) {
+    store.logError(request, error)
+
+    // Errors without an HTTP status (e.g. database errors) come without details
+    if (typeof error.status === 'undefined') return respond(rpcError(id, -32603, 'Internal error', { status: 500 }))
+
+    var formatted = store.formatErrorResponse(error)
+    return respond(rpcError(id, -32000, formatted.message, Object.assign({ status: Number(error.status) }, formatted)))
+  }
+
+  // Queries return the records in `data`, together with what HTTP would have in headers
+  var result = data
+  if (method === 'getQuery') {
+    result = { data }
+    if (typeof request.grandTotal !== 'undefined') result.grandTotal = request.grandTotal
+    if (store.cursorPagination) {
+      result.nextCursor = request.nextCursor
+      result.prevCursor = request.prevCursor
+    }
+  }
+  return respond({ jsonrpc: '2.0', result, id })
+}
+
+// Makes stores available with JSON-RPC 2.0, on one HTTP route. Methods are
+// `storeName.method`, where method is get, getQuery, put, post, delete, patch
+// or restore; parameters are by name: `params`, `body` and `options`.
+// Calls go through the same pipeline as HTTP requests: `request.remote` is
+// true, permissions are checked, and `request.protocol` is `JSON-RPC`
+var JsonRpcMixin = (superclass) => class extends superclass {
+  // Listens to POST requests to `params.url` (default: /_rpc) in `params.app`.
+  // Every store using the same app and URL shares the route. `params.maxCalls`
+  // (default: 100) is the maximum number of calls in a batch, and `params.bodyLimit`
+  // (default: 100kb) the maximum size in bytes of bodies not parsed by a body parser
+  protocolListenJsonRpc (params) {
+    var app = params.app
+    var url = params.url || '/_rpc'
+    var maxCalls = params.maxCalls || 100
+    var bodyLimit = params.bodyLimit || defaultLimit
+
+    var routes = apps.get(app)
+    if (!routes) {
+      routes = Object.create(null)
+      apps.set(app, routes)
+    }
+
+    if (!routes[ url ]) {
+      var stores = routes[ url ] = Object.create(null)
+
+      app.post(url, async function (req, res, next) {
+        try {
+          // The body might have been parsed already by a JSON body parser. Bodies
+          // that are too large are not read, and are answered as HTTP errors
+          var body
+          if (req._body) body = req.body
+          else {
+            var text
+            try {
+              text = await readBody(req, bodyLimit)
+            } catch (e) {
+              if (typeof e.status === 'undefined') throw e
+              return res.status(Number(e.status)).json({ message: e.message })
+            }
+            try {
+              body = JSON.parse(text)
+            } catch (e) {
+              return res.status(200).json(rpcError(null, -32700, 'Parse error'))
+            }
+          }
+
+          // Batch: responses to notifications are left out, and
+          // nothing is returned if there are only notifications
+          var responses
+          if (Array.isArray(body)) {
+            if (!body.length || body.length > maxCalls) return res.status(200).json(rpcError(null, -32600, 'Invalid Request'))
+
+            responses = []
+            for (var call of body) {
+              var response = await runCall(stores, call, req)
+              if (response) responses.push(response)
+            }
+            if (!responses.length) return res.status(204).end()
+          } else {
+            responses = await runCall(stores, body, req)
+            if (!responses) return res.status(204).end()
+          }
+
+          res.status(200).json(responses)
+        } catch (e) {
+          next(e)
+        }
+      })
+    }
+
+    routes[ url ][ this.storeName ] = this
+  }
+}
+
+exports = module.exports = JsonRpcMixin
@@ -0,0 +1,442 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+// A store keeping its records in memory, in `this.data`. It's meant for tests and
+// prototyping, and behaves like MySqlStoreMixin: same conditions, operators, sorting,
+// ranges and positioning. Comparisons follow MySql's with its default collations:
+// strings are compared case-insensitively, and comparisons with `null` never match
+var MemoryStoreMixin = (superclass) => class extends superclass {
+  constructor () {
+    super()
+    this.data = this.constructor.initialData.map((record) => Object.assign({}, record))
+  }
+
+  // The records the store starts with
+  static get initialData () {
+    return []
+  }
+
+  // Makes up a copy of a record, only with the fields that would be selected by
+  // MySqlStoreMixin: `fields` (if passed), or idProperty and non-silent fields
+  _selectFields (record, fields) {
+    var r = {}
+
+    if (!Array.isArray(fields)) {
+      fields = [ this.idProperty ]
+      for (var k in this.schema.structure) {
+        if (!this.schema.structure[k].silent) fields.push(k)
+      }
+    }
+
+    fields.forEach((field) => {
+      r[field] = typeof record[field] === 'undefined' ? null : record[field]
+    })
+    return r
+  }
+
+  _find (id) {
+    return this.data.find((record) => this._compare(record[this.idProperty], id) === 0)
+  }
+
+  // Compare two values as MySql would: -1, 0, 1, or null if either is null
+  _compare (a, b) {
+    if (a === null || typeof a === 'undefined' || b === null || typeof b === 'undefined') return null
+
+    if (a instanceof Date) a = a.getTime()
+    if (b instanceof Date) b = b.getTime()
+    if (typeof a === 'boolean') a = Number(a)
+    if (typeof b === 'boolean') b = Number(b)
+
+    // If either value is a number, the comparison is numeric
+    if (typeof a === 'number' || typeof b === 'number') {
+      a = Number(a)
+      b = Number(b)
+    } else {
+      a = String(a).toLowerCase()
+      b = String(b).toLowerCase()
+    }
+    return a < b ? -1 : (a > b ? 1 : 0)
+  }
+
+  // Turns a LIKE pattern into a regular expression
+  _likeToRegExp (pattern) {
+    var r = ''
+    pattern = String(pattern)
+    for (var i = 0; i < pattern.length; i++) {
+      var c = pattern[i]
+      if (c === '\\' && i < pattern.length - 1) r += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      else if (c === '%') r += '.*'
+      else if (c === '_') r += '.'
+      else r += c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    }
+    return new RegExp('^' + r + '$', 'i')
+  }
+
+  // Escape the LIKE wildcards in a value
+  _escapeLike (value) {
+    return String(value).replace(/[\\%_]/g, '\\$&')
+  }
+
+  // Check one operator condition against a value. Like SQL, it returns
+  // true, false or null (unknown, when comparing with null)
+  operatorCondition (value, op, operand) {
+    var isNull = value === null || typeof value === 'undefined'
+    var c
+
+    switch (op) {
+      case 'eq':
+        if (operand === null) return isNull
+        c = this._compare(value, operand)
+        return c === null ? null : c === 0
+
+      case 'ne':
+        if (operand === null) return !isNull
+        c = this._compare(value, operand)
+        return c === null ? null : c !== 0
+
+      case 'gt': c = this._compare(value, operand); return c === null ? null : c > 0
+      case 'gte': c = this._compare(value, operand); return c === null ? null : c >= 0
+      case 'lt': c = this._compare(value, operand); return c === null ? null : c < 0
+      case 'lte': c = this._compare(value, operand); return c === null ? null : c <= 0
+
+      case 'like': return isNull ? null : this._likeToRegExp(operand).test(String(value))
+      case 'startsWith': return isNull ? null : this._likeToRegExp(this._escapeLike(operand) + '%').test(String(value))
+      case 'contains': return isNull ? null : this._likeToRegExp('%' + this._escapeLike(operand) + '%').test(String(value))
+
+      case 'in':
+        if (!operand.length) return false
+        if (isNull) return null
+        return operand.some((o) => this._compare(value, o) === 0)
+
+      case 'between':
+        var c1 = this._compare(value, operand[0])
+        var c2 = this._compare(value, operand[1])
+        return c1 === null || c2 === null ? null : c1 >= 0 && c2 <= 0
+
+      case 'isNull':
+        return operand ? isNull : !isNull
+
+      default:
+        throw new Error('Unknown operator: ' + op)
+    }
+  }
+
+  // SQL's three-valued AND and OR
+  _and (values) {
+    if (values.some((v) => v === false)) return false
+    if (values.some((v) => v === null)) return null
+    return true
+  }
+
+  _or (values) {
+    if (values.some((v) => v === true)) return true
+    if (values.some((v) => v === null)) return null
+    return false
+  }
+
+  // Check a record against the conditions, the params and the filter,
+  // as MySqlStoreMixin.defaultConditions() does
+  defaultConditions (request, record) {
+    var ch = request.options.conditionsHash
+    var l = []
+
+    for (let k in ch) {
+      // Add fields that are in the searchSchema
+      if (this.searchSchema.structure[k] && this.schema.structure[k] && String(ch[k]) !== '') {
+        if (ch[k] === null) {
+          l.push(this.operatorCondition(record[k], 'eq', null))
+        } else if (typeof ch[k] === 'object' && !Array.isArray(ch[k]) && !(ch[k] instanceof Date)) {
+          // Operator conditions, e.g. `{ price: { gte: 10, lt: 20 } }`
+          for (let op in ch[k]) l.push(this.operatorCondition(record[k], op, ch[k][op]))
+        } else {
+          l.push(this.operatorCondition(record[k], 'eq', ch[k]))
+        }
+      }
+    }
+
+    for (let k in request.params) {
+      if (this.schema.structure[k] && String(request.params[k]) !== '') {
+        l.push(this.operatorCondition(record[k], 'eq', request.params[k]))
+      }
+    }
+
+    // Add the filter expression, if there is one
+    if (request.options.filter) l.push(this.filterCondition(request.options.filter, record))
+
+    return this._and(l)
+  }
+
+  // Check a record against a (validated) filter tree
+  filterCondition (node, record) {
+    if (node.and) return this._and(node.and.map((child) => this.filterCondition(child, record)))
+    if (node.or) return this._or(node.or.map((child) => this.filterCondition(child, record)))
+    if (node.not) {
+      var v = this.filterCondition(node.not, record)
+      return v === null ? null : !v
+    }
+
+    // Leaves can only refer to fields that are in the schema: fields that are only in
+    // searchSchema need a custom filterCondition()
+    if (!this.schema.structure[node.field]) throw new Error('Field cannot be used in filters: ' + node.field)
+    return this.operatorCondition(record[node.field], node.operator, node.value)
+  }
+
+  // Keyset pagination: is the record after (or before, going backwards) the
+  // cursor's values in the sort order? See MySqlStoreMixin.keysetCondition()
+  keysetCondition (sort, keyset, record) {
+    var fields = Object.keys(sort)
+    return this._or(fields.map((field, i) => {
+      var descending = Number(sort[field]) === 1
+      if (keyset.direction === 'prev') descending = !descending
+
+      var l = fields.slice(0, i).map((f) => this.operatorCondition(record[f], 'eq', keyset.values[f]))
+      l.push(this.keysetComparison(record[field], descending ? 'lt' : 'gt', keyset.values[field]))
+      return this._and(l)
+    }))
+  }
+
+  // Does `value` come after (`gt`) or before (`lt`) `operand` in the sort
+  // order? As in _sortRecords(), null comes before any other value
+  keysetComparison (value, op, operand) {
+    var isNull = value === null || typeof value === 'undefined'
+
+    if (operand === null) return op === 'gt' ? !isNull : false
+    if (isNull) return op === 'lt'
+    return this.operatorCondition(value, op, operand)
+  }
+
+  // Sort records as MySqlStoreMixin.makeSortString() would: `1` is descending,
+  // anything else is ascending. Nulls come first when ascending
+  _sortRecords (records, sort = {}) {
+    var fields = Object.keys(sort)
+    if (!fields.length) return records
+
+    return records.sort((a, b) => {
+      for (let k of fields) {
+        var c = this._compare(a[k], b[k])
+        if (c === null) {
+          var aNull = a[k] === null || typeof a[k] === 'undefined'
+          var bNull = b[k] === null || typeof b[k] === 'undefined'
+          c = aNull === bNull ? 0 : (aNull ? -1 : 1)
+        }
+        if (Number(sort[k]) === 1) c = -c
+        if (c) return c
+      }
+      return 0
+    })
+  }
+
+  // If a positionField is set, then delete body.beforeId -- before saving it
+  // in this.data, so that it can be used for positioning
+  async beforeValidate (request, method) {
+    if (this.positionField) {
+      request.beforeId = request.body[this.beforeIdField]
+      delete request.body[this.beforeIdField]
+    }
+
+    return super.beforeValidate(request, method)
+  }
+
+  // Input: request.params
+  // Output: an object
+  async implementFetch (request) {
+    var record = this._find(request.params[this.idProperty])
+    return record ? this._selectFields(record, request.options && request.options.fields) : undefined
+  }
+
+  _positionFiltersFieldsSame (request) {
+    // If there is no original request.doc, there is nothing to check
+    if (!request.doc) return true
+
+    // Check whether the positionFilter fields have changed (soft comparison,
+    // as in MySqlStoreMixin)
+    for (let k of this.positionFilter) {
+      if (typeof request.body[k] !== 'undefined' && typeof request.doc[k] !== 'undefined') {
+        if (request.body[k] != request.doc[k]) return false
+      }
+    }
+    return true
+  }
+
+  // Make sure the positionField is updated depending on beforeID passed,
+  // exactly as MySqlStoreMixin._calculatePosition() does:
+  // undefined    => leave it where it was (if it had a position) or place it last (if it didn't have a position)
+  // null         => place it last
+  // number       => valid record   => place it before that record, "making space"
+  //              => INvalid record => place it last
+  async _calculatePosition (request) {
+    // No position field: exit right away
+    if (typeof this.positionField === 'undefined') return
+
+    // Records in the same subset (as defined by positionFilter)
+    var source = request.doc || request.body
+    var sameSubset = (record) => this.positionFilter.every((k) => {
+      if (source[k] === null || typeof source[k] === 'undefined') return record[k] === null || typeof record[k] === 'undefined'
+      return this._compare(record[k], source[k]) === 0
+    })
+
+    var last = () => {
+      var max = null
+      this.data.filter(sameSubset).forEach((record) => {
+        var position = record[this.positionField]
+        if (position !== null && typeof position !== 'undefined' && (max === null || position > max)) max = position
+      })
+      request.body[this.positionField] = max + 1
+    }
+
+    // Work out what the previous position was
+    var prevPosition
+    if (request.doc) prevPosition = request.doc[this.positionField]
+    else if (request.params && typeof request.params[this.idProperty] !== 'undefined') {
+      var r = this._find(request.params[this.idProperty])
+      if (r) prevPosition = r[this.positionField]
+    }
+
+    // If ANY of the positionFilters have changed, it will go
+    // last, end of story (since "position 2" might mean something different)
+    if (!this._positionFiltersFieldsSame(request)) {
+      last()
+
+    // undefined    => leave it where it was (if it had a position) or place it last (if it didn't have a position)
+    } else if (typeof request.beforeId === 'undefined') {
+      if (!prevPosition) last()
+      else request.body[this.positionField] = prevPosition
+
+    // null         => place it last
+    } else if (request.beforeId === null) {
+      last()
+
+    // number       => valid record   => place it before that record, "making space"
+    //                 Invalid record => place it last
+    } else {
+      var beforeIdItem = this._find(request.beforeId)
+      if (beforeIdItem && sameSubset(beforeIdItem)) {
+        var position = beforeIdItem[this.positionField]
+        this.data.filter(sameSubset).forEach((record) => {
+          var c = this._compare(record[this.positionField], position || 0)
+          if (c !== null && c >= 0) record[this.positionField] = record[this.positionField] + 1
+        })
+        request.body[this.positionField] = position
+      } else {
+        last()
+      }
+    }
+  }
+
+  // Whether `record` still has the version `doc` has. A record without a version
+  // is at version 0, as for docVersion() and _bumpVersion()
+  _sameVersion (record, doc) {
+    var version = (r) => r[this.versionField] === null || typeof r[this.versionField] === 'undefined' ? 0 : r[this.versionField]
+    return this._compare(version(record), version(doc)) === 0
+  }
+
+  // Input: request.body, request.options.[placement,placementAfter]
+  // Output: an object (saved record)
+  async implementInsert (request) {
+    // A duplicate id is rejected before positions are shifted, so that a
+    // failed insert leaves the ordering of the other records untouched
+    var id = request.body[this.idProperty]
+    if (typeof id !== 'undefined' && id !== null && this._find(id)) throw new Error('Duplicate entry: ' + id)
+
+    await this._calculatePosition(request)
+
+    // Fields not set are null, as they would be in a database table
+    var record = {}
+    for (var k in this.schema.structure) record[k] = null
+    Object.assign(record, request.body)
+
+    // The id is automatically generated, unless it was passed
+    if (typeof record[this.idProperty] === 'undefined' || record[this.idProperty] === null) {
+      var max = 0
+      this.data.forEach((r) => { if (Number(r[this.idProperty]) > max) max = Number(r[this.idProperty]) })
+      record[this.idProperty] = max + 1
+    }
+
+    this.data.push(record)
+    return this._selectFields(record)
+  }
+
+  // Input:
+  // - request.params (query)
+  // - request.body (data)
+  // - request.options.field (field name if it's a one-field update)
+  // - request.options.[placement,placementAfter] (for record placement)
+  // Output: an object (updated record)
+  async implementUpdate (request) {
+    // Only the fields in the body are changed. If there is a version field, the
+    // update will only happen if the record still has the version it had when it was fetched.
+    // This is checked before positions are shifted, so that a rejected write
+    // leaves the ordering of the other records untouched
+    var record = this._find(request.params[this.idProperty])
+    if (this.versionField && request.doc) {
+      if (!record || !this._sameVersion(record, request.doc)) {
+        throw new this.constructor.PreconditionFailedError()
+      }
+    }
+    if (!record) return undefined
+
+    await this._calculatePosition(request)
+
+    Object.assign(record, request.body)
+    return this._selectFields(record)
+  }
+
+  // Input: request.params
+  // Output: an object (deleted record)
+  async implementDelete (request) {
+    var record = this._find(request.params[this.idProperty])
+
+    // If a specific version was requested, the record is only deleted if it
+    // still has the version it had when it was fetched
+    if (this.versionField && request.doc && typeof request.options.ifMatch !== 'undefined') {
+      if (!record || !this._sameVersion(record, request.doc)) {
+        throw new this.constructor.PreconditionFailedError()
+      }
+    }
+    if (!record) return undefined
+
+    this.data.splice(this.data.indexOf(record), 1)
+    return this._selectFields(record)
+  }
+
+  // Input: request.params, request.options.[conditionsHash,filter,ranges.[skip,limit],sort,keyset,skipGrandTotal]
+  // Output: { dataArray, total, grandTotal }
+  async implementQuery (request) {
+    request.options.sort = request.options.sort || this.defaultSort || {}
+    request.options.ranges = request.options.ranges || { skip: 0, limit: this.defaultLimitOnQueries }
+
+    // Only records for which conditions are true (not false or null) are returned
+    var records = this.data.filter((record) => this.defaultConditions(request, record) === true)
+    var grandTotal = records.length
+
+    // Keyset pagination. When going backwards, the sort is reversed
+    // (records are returned in reverse order)
+    var sort = request.options.sort
+    var keyset = request.options.keyset
+    if (keyset) {
+      records = records.filter((record) => this.keysetCondition(sort, keyset, record) === true)
+      if (keyset.direction === 'prev') {
+        sort = {}
+        for (let k in request.options.sort) sort[k] = Number(request.options.sort[k]) === 1 ? -1 : 1
+      }
+    }
+
+    var skip = request.options.ranges.skip || 0
+    var limit = request.options.ranges.limit
+    records = this._sortRecords(records, sort).slice(skip, typeof limit === 'number' ? skip + limit : undefined)
+
+    var data = records.map((record) => this._selectFields(record, request.options.fields))
+    if (request.options.skipGrandTotal) return { data }
+
+    return { data, grandTotal }
+  }
+}
+
+exports = module.exports = MemoryStoreMixin
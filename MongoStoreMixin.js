@@ -0,0 +1,445 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+// MongoDB backend. `connection` is a database (as returned by `client.db()` in the
+// `mongodb` module), and `collection` is the name of the collection. Records are
+// stored with their idProperty as `_id`, which can be an ObjectId or a string
+var MongoStoreMixin = (superclass) => class extends superclass {
+  constructor () {
+    super()
+    this.connection = this.constructor.connection
+    this.collection = this.constructor.collection
+  }
+
+  static get connection () {
+    return null
+  }
+
+  static get collection () {
+    return null
+  }
+
+  // The ObjectId class, used to turn strings into ObjectIds
+  static get ObjectId () {
+    return require('mongodb').ObjectId
+  }
+
+  _checkVars () {
+    if (!this.connection) throw new Error('The static property "connection" must be set')
+    if (!this.collection) throw new Error('The static property "collection" must be set')
+  }
+
+  _collection () {
+    return this.connection.collection(this.collection)
+  }
+
+  _isObjectId (value) {
+    return value !== null && typeof value === 'object' && value._bsontype === 'ObjectId'
+  }
+
+  // The value to compare `_id` with. Strings that look like ObjectIds
+  // are turned into ObjectIds
+  _idValue (id) {
+    if (typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id)) return new this.constructor.ObjectId(id)
+    return id
+  }
+
+  // The condition to find a record by id: it works whether
+  // ids are ObjectIds or strings
+  _idCondition (id) {
+    var value = this._idValue(id)
+    if (this._isObjectId(value)) return { _id: { $in: [ value, id ] } }
+    return { _id: value }
+  }
+
+  // The Mongo name of a field
+  _dbField (field) {
+    return field === this.idProperty ? '_id' : field
+  }
+
+  // The fields returned: `fields` (if passed), or idProperty and non-silent fields
+  _fieldList (fields) {
+    if (Array.isArray(fields)) return fields
+
+    var r = [ this.idProperty ]
+    for (var k in this.schema.structure) {
+      if (!this.schema.structure[k].silent && k !== this.idProperty) r.push(k)
+    }
+    return r
+  }
+
+  _projection (fields) {
+    var r = { _id: 1 }
+    this._fieldList(fields).forEach((field) => { r[this._dbField(field)] = 1 })
+    return r
+  }
+
+  // Turns a document into a record: `_id` becomes the idProperty (ObjectIds are
+  // turned into strings), and missing fields are null, as they would be in a table
+  _toRecord (doc, fields) {
+    if (!doc) return doc
+
+    var r = {}
+    this._fieldList(fields).forEach((field) => {
+      var value = doc[this._dbField(field)]
+      if (this._isObjectId(value)) value = value.toString()
+      r[field] = typeof value === 'undefined' ? null : value
+    })
+    return r
+  }
+
+  // Turns a body into a document to be written (without `_id`)
+  _toDoc (body) {
+    var r = Object.assign({}, body)
+    delete r[this.idProperty]
+    delete r._id
+    return r
+  }
+
+  // If a positionField is set, then delete body.beforeId -- before saving it
+  // in this.data, so that it can be used for positioning
+  async beforeValidate (request, method) {
+    if (this.positionField) {
+      request.beforeId = request.body[this.beforeIdField]
+      delete request.body[this.beforeIdField]
+    }
+
+    return super.beforeValidate(request, method)
+  }
+
+  // Input: request.params
+  // Output: an object
+  async implementFetch (request) {
+    this._checkVars()
+
+    var fields = request.options && request.options.fields
+    var doc = await this._collection().findOne(this._idCondition(request.params[this.idProperty]), { projection: this._projection(fields) })
+    return this._toRecord(doc, fields)
+  }
+
+  _positionFiltersFieldsSame (request) {
+    // If there is no original request.doc, there is nothing to check
+    if (!request.doc) return true
+
+    // Check whether the positionFilter fields have changed (soft comparison,
+    // as in the SQL backends)
+    for (let k of this.positionFilter) {
+      if (typeof request.body[k] !== 'undefined' && typeof request.doc[k] !== 'undefined') {
+        if (request.body[k] != request.doc[k]) return false
+      }
+    }
+    return true
+  }
+
+  // Make sure the positionField is updated depending on beforeID passed,
+  // as the SQL backends do:
+  // undefined    => leave it where it was (if it had a position) or place it last (if it didn't have a position)
+  // null         => place it last
+  // number       => valid record   => place it before that record, "making space"
+  //              => INvalid record => place it last
+  async _calculatePosition (request) {
+    // No position field: exit right away
+    if (typeof this.positionField === 'undefined') return
+
+    var collection = this._collection()
+
+    // Records in the same subset (as defined by positionFilter)
+    var source = request.doc || request.body
+    var subset = {}
+    for (let k of this.positionFilter) {
+      subset[k] = source[k] === null || typeof source[k] === 'undefined' ? null : source[k]
+    }
+
+    var last = async () => {
+      var lastDoc = await collection.findOne(subset, { sort: { [this.positionField]: -1 }, projection: { [this.positionField]: 1 } })
+      request.body[this.positionField] = Number(lastDoc ? lastDoc[this.positionField] : null) + 1
+    }
+
+    // Work out what the previous position was
+    var prevPosition
+    if (request.doc) prevPosition = request.doc[this.positionField]
+    else if (request.params && typeof request.params[this.idProperty] !== 'undefined') {
+      var r = await collection.findOne(this._idCondition(request.params[this.idProperty]))
+      if (r) prevPosition = r[this.positionField]
+    }
+
+    // If ANY of the positionFilters have changed, it will go
+    // last, end of story (since "position 2" might mean something different)
+    if (!this._positionFiltersFieldsSame(request)) {
+      await last()
+
+    // undefined    => leave it where it was (if it had a position) or place it last (if it didn't have a position)
+    } else if (typeof request.beforeId === 'undefined') {
+      if (!prevPosition) await last()
+      else request.body[this.positionField] = prevPosition
+
+    // null         => place it last
+    } else if (request.beforeId === null) {
+      await last()
+
+    // number       => valid record   => place it before that record, "making space"
+    //                 Invalid record => place it last
+    } else {
+      var beforeIdItem = await collection.findOne(Object.assign({}, subset, this._idCondition(request.beforeId)))
+      if (beforeIdItem) {
+        var position = beforeIdItem[this.positionField]
+        await collection.updateMany(Object.assign({}, subset, { [this.positionField]: { $gte: position || 0 } }), { $inc: { [this.positionField]: 1 } })
+        request.body[this.positionField] = typeof position === 'undefined' ? null : position
+      } else {
+        await last()
+      }
+    }
+  }
+
+  // Input: request.body, request.options.[placement,placementAfter]
+  // Output: an object (saved record)
+  async implementInsert (request) {
+    this._checkVars()
+
+    await this._calculatePosition(request)
+
+    // The id is generated by Mongo, unless it was passed
+    var doc = this._toDoc(request.body)
+    var id = request.body[this.idProperty]
+    if (typeof id !== 'undefined' && id !== null) doc._id = this._idValue(id)
+
+    var insertResults = await this._collection().insertOne(doc)
+    var bogusRequest = { session: request.session, params: { [this.idProperty]: insertResults.insertedId } }
+    return this.implementFetch(bogusRequest)
+  }
+
+  // Input:
+  // - request.params (query)
+  // - request.body (data)
+  // - request.options.field (field name if it's a one-field update)
+  // - request.options.[placement,placementAfter] (for record placement)
+  // Output: an object (updated record)
+  async implementUpdate (request) {
+    this._checkVars()
+
+    await this._calculatePosition(request)
+
+    // If there is a version field, the update will only happen if the record
+    // still has the version it had when it was fetched, so that check and write are atomic
+    var query = this._idCondition(request.params[this.idProperty])
+    var checkVersion = this.versionField && request.doc
+    if (checkVersion) query[this.versionField] = this._versionCondition(request.doc)
+
+    var doc = this._toDoc(request.body)
+    if (Object.keys(doc).length) {
+      var updateResults = await this._collection().updateOne(query, { $set: doc })
+      if (checkVersion && updateResults.matchedCount === 0) throw new this.constructor.PreconditionFailedError()
+
+    // Nothing to update: it's just a matter of checking the version
+    } else if (checkVersion && !(await this._collection().findOne(query))) {
+      throw new this.constructor.PreconditionFailedError()
+    }
+
+    var bogusRequest = { session: request.session, params: { [this.idProperty]: request.params[this.idProperty] } }
+    return this.implementFetch(bogusRequest)
+  }
+
+  // Input: request.params
+  // Output: an object (deleted record)
+  async implementDelete (request) {
+    this._checkVars()
+
+    var query = this._idCondition(request.params[this.idProperty])
+    var record = this._toRecord(await this._collection().findOne(query))
+
+    // If a specific version was requested, the record is only deleted if it
+    // still has the version it had when it was fetched
+    var checkVersion = this.versionField && request.doc && typeof request.options.ifMatch !== 'undefined'
+    if (checkVersion) query[this.versionField] = this._versionCondition(request.doc)
+
+    var deleteResults = await this._collection().deleteOne(query)
+    if (checkVersion && deleteResults.deletedCount === 0) throw new this.constructor.PreconditionFailedError()
+    return record
+  }
+
+  // The condition for a record to still have the version `doc` has. A record
+  // without a version (e.g. written before the version field was added) is
+  // at version 0, as for docVersion() and _bumpVersion()
+  _versionCondition (doc) {
+    var version = doc[this.versionField]
+    if (version === null || typeof version === 'undefined' || Number(version) === 0) return { $in: [0, null] }
+    return version
+  }
+
+  // Escape a string so that it can be used in a regular expression
+  _escapeRegExp (value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  }
+
+  // Turns a LIKE pattern into a (case-insensitive) regular expression
+  _likeToRegExp (pattern) {
+    var r = ''
+    pattern = String(pattern)
+    for (var i = 0; i < pattern.length; i++) {
+      var c = pattern[i]
+      if (c === '\\' && i < pattern.length - 1) r += this._escapeRegExp(pattern[++i])
+      else if (c === '%') r += '.*'
+      else if (c === '_') r += '.'
+      else r += this._escapeRegExp(c)
+    }
+    return new RegExp('^' + r + '$', 'i')
+  }
+
+  // Turns one operator condition into a Mongo query. As in SQL,
+  // comparisons never match null values
+  operatorCondition (field, op, operand) {
+    var value = (v) => field === '_id' ? this._idValue(v) : v
+
+    switch (op) {
+      case 'eq': return { [field]: operand === null ? null : value(operand) }
+      case 'ne': return { [field]: operand === null ? { $ne: null } : { $nin: [ value(operand), null ] } }
+
+      case 'gt': return { [field]: { $gt: value(operand) } }
+      case 'gte': return { [field]: { $gte: value(operand) } }
+      case 'lt': return { [field]: { $lt: value(operand) } }
+      case 'lte': return { [field]: { $lte: value(operand) } }
+
+      case 'like': return { [field]: { $regex: this._likeToRegExp(operand) } }
+      case 'startsWith': return { [field]: { $regex: new RegExp('^' + this._escapeRegExp(operand), 'i') } }
+      case 'contains': return { [field]: { $regex: new RegExp(this._escapeRegExp(operand), 'i') } }
+
+      case 'in': return { [field]: { $in: operand.map(value) } }
+      case 'between': return { [field]: { $gte: value(operand[0]), $lte: value(operand[1]) } }
+      case 'isNull': return { [field]: operand ? null : { $ne: null } }
+
+      default:
+        throw new Error('Unknown operator: ' + op)
+    }
+  }
+
+  // Turns the conditions, the params and the filter into a Mongo query,
+  // as the SQL backends' defaultConditions() does
+  defaultConditions (request) {
+    var ch = request.options.conditionsHash
+    var l = []
+
+    for (let k in ch) {
+      // Add fields that are in the searchSchema
+      if (this.searchSchema.structure[k] && this.schema.structure[k] && String(ch[k]) !== '') {
+        var field = this._dbField(k)
+        if (ch[k] === null) {
+          l.push({ [field]: null })
+        } else if (typeof ch[k] === 'object' && !Array.isArray(ch[k]) && !(ch[k] instanceof Date)) {
+          // Operator conditions, e.g. `{ price: { gte: 10, lt: 20 } }`
+          for (let op in ch[k]) l.push(this.operatorCondition(field, op, ch[k][op]))
+        } else {
+          l.push(this.operatorCondition(field, 'eq', ch[k]))
+        }
+      }
+    }
+
+    for (let k in request.params) {
+      if (this.schema.structure[k] && String(request.params[k]) !== '') {
+        l.push(k === this.idProperty ? this._idCondition(request.params[k]) : { [k]: request.params[k] })
+      }
+    }
+
+    // Add the filter expression, if there is one
+    if (request.options.filter) l.push(this.filterCondition(request.options.filter))
+
+    return l.length ? { $and: l } : {}
+  }
+
+  // Turns a (validated) filter tree into a Mongo query
+  filterCondition (node) {
+    if (node.and) return { $and: node.and.map((child) => this.filterCondition(child)) }
+    if (node.or) return { $or: node.or.map((child) => this.filterCondition(child)) }
+    if (node.not) return { $nor: [ this.filterCondition(node.not) ] }
+
+    // Leaves can only refer to fields that are in the schema: fields that are only in
+    // searchSchema need a custom filterCondition()
+    if (!this.schema.structure[node.field]) throw new Error('Field cannot be used in filters: ' + node.field)
+    return this.operatorCondition(this._dbField(node.field), node.operator, node.value)
+  }
+
+  // Keyset pagination: the records coming after the cursor's values in the sort
+  // order (or before them, when going backwards). See SqlStoreMixin.keysetCondition()
+  keysetCondition (sort, keyset) {
+    var fields = Object.keys(sort)
+    return {
+      $or: fields.map((field, i) => {
+        var descending = Number(sort[field]) === 1
+        if (keyset.direction === 'prev') descending = !descending
+
+        var l = fields.slice(0, i).map((f) => this.operatorCondition(this._dbField(f), 'eq', keyset.values[f]))
+        l.push(this.keysetComparison(this._dbField(field), descending ? 'lt' : 'gt', keyset.values[field]))
+        return { $and: l }
+      })
+    }
+  }
+
+  // `field` coming after (`gt`) or before (`lt`) `value` in the sort order.
+  // In MongoDB, null (or a missing field) comes before any other value
+  keysetComparison (field, op, value) {
+    if (value === null) return op === 'gt' ? { [field]: { $ne: null } } : { [field]: { $in: [] } }
+
+    var condition = this.operatorCondition(field, op, value)
+    return op === 'gt' ? condition : { $or: [ condition, { [field]: null } ] }
+  }
+
+  // Sort as the SQL backends' makeSortString() does: `1` is descending,
+  // anything else is ascending
+  makeSort (sort = {}) {
+    var r = {}
+    for (let k in sort) r[this._dbField(k)] = Number(sort[k]) === 1 ? -1 : 1
+    return r
+  }
+
+  // Input: request.params, request.options.[conditionsHash,filter,ranges.[skip,limit],sort,keyset,skipGrandTotal]
+  // Output: { dataArray, total, grandTotal }
+  async implementQuery (request) {
+    this._checkVars()
+
+    request.options.sort = request.options.sort || this.defaultSort || {}
+    request.options.ranges = request.options.ranges || { skip: 0, limit: this.defaultLimitOnQueries }
+
+    var collection = this._collection()
+    var query = this.defaultConditions(request)
+
+    // Keyset pagination. When going backwards, the sort is reversed
+    // (records are returned in reverse order)
+    var sort = request.options.sort
+    var pageQuery = query
+    var keyset = request.options.keyset
+    if (keyset) {
+      pageQuery = { $and: [ query, this.keysetCondition(sort, keyset) ] }
+      if (keyset.direction === 'prev') {
+        sort = {}
+        for (let k in request.options.sort) sort[k] = Number(request.options.sort[k]) === 1 ? -1 : 1
+      }
+    }
+
+    var cursor = collection.find(pageQuery, { projection: this._projection(request.options.fields) })
+      .sort(this.makeSort(sort))
+      .skip(request.options.ranges.skip || 0)
+    if (request.options.ranges.limit) cursor = cursor.limit(request.options.ranges.limit)
+
+    var data = (await cursor.toArray()).map((doc) => this._toRecord(doc, request.options.fields))
+    if (request.options.skipGrandTotal) return { data }
+
+    var grandTotal = await collection.countDocuments(query)
+    return { data, grandTotal }
+  }
+
+  cleanup (record) {
+    var r = Object.assign({}, record)
+    for (var k in r) {
+      if (typeof this.schema.structure[k] === 'undefined') delete r[k]
+    }
+    return r
+  }
+}
+
+exports = module.exports = MongoStoreMixin
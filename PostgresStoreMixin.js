@@ -0,0 +1,111 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+var SqlStoreMixin = require('./SqlStoreMixin')
+
+// PostgreSQL backend. `connection` is a pool (or a client), as created by the `pg` module
+var PostgresStoreMixin = (superclass) => class extends SqlStoreMixin(superclass) {
+  // The connection used by a request: its transaction's, if it has one
+  _db (request) {
+    return (request && request.transaction) || this.connection
+  }
+
+  // Turns `?` placeholders into `$1`, `$2`, etc. Quoted strings and
+  // identifiers are left alone
+  _numberPlaceholders (sql) {
+    var n = 0
+    return sql.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"|\?/g, (match) => match === '?' ? '$' + (++n) : match)
+  }
+
+  async _run (request, sql, args) {
+    return this._db(request).query(this._numberPlaceholders(sql), args || [])
+  }
+
+  async query (request, sql, args) {
+    return (await this._run(request, sql, args)).rows
+  }
+
+  async execute (request, sql, args) {
+    var r = await this._run(request, sql, args)
+    return { affectedRows: r.rowCount, rows: r.command === 'INSERT' || r.command === 'UPDATE' ? r.rows : undefined }
+  }
+
+  escapeId (name) {
+    return '"' + String(name).replace(/"/g, '""') + '"'
+  }
+
+  // Records are returned by INSERT and UPDATE, rather than fetched again
+  returningClause () {
+    return ` RETURNING ${this._selectFields('')}`
+  }
+
+  // Postgres' LIKE is case-sensitive; ILIKE behaves like MySql's.
+  // As in MySql, `\` is already the escape character
+  likeClause (field) {
+    return `${field} ILIKE ?`
+  }
+
+  // In Postgres, NULL comes after any other value: as in MySql, it needs to
+  // come first, which keysetCondition() relies on
+  makeSortString (sort = {}) {
+    var sortStr = ''
+    if (Object.keys(sort).length) {
+      let l = []
+      sortStr = ' ORDER BY '
+      for (let k in sort) {
+        l.push(this.escapeId(k) + ' ' + (Number(sort[k]) === 1 ? 'DESC NULLS LAST' : 'ASC NULLS FIRST'))
+      }
+      sortStr = sortStr + l.join(',')
+    }
+    return sortStr
+  }
+
+  // Postgres doesn't allow `FOR UPDATE` with `max()`: in a transaction, the table
+  // is locked instead, so that concurrent writes can't end up with the same position
+  async _calculatePosition (request) {
+    if (typeof this.positionField !== 'undefined' && request.transaction) {
+      await this.execute(request, `LOCK TABLE ${this.table} IN SHARE ROW EXCLUSIVE MODE`)
+    }
+    return super._calculatePosition(request)
+  }
+
+  // Every write request runs in a transaction, with its own client taken
+  // from the pool (so, `connection` must be a pool; with a single client,
+  // there are no transactions). The pipeline's failure, hooks included, means
+  // that everything is rolled back. If request.transaction is already set (e.g.
+  // an API call made by a hook), the request just becomes part of that transaction
+  async transaction (request, f) {
+    this._checkVars()
+
+    // Pools (unlike clients) have `totalCount`
+    var isPool = typeof this.connection.connect === 'function' && typeof this.connection.totalCount !== 'undefined'
+    if (request.transaction || !isPool) return f()
+
+    var client = await this.connection.connect()
+
+    request.transaction = client
+    try {
+      await client.query('BEGIN')
+      this._transactionStarted(client)
+      var r = await f()
+      await client.query('COMMIT')
+      await this._transactionEnded(client, true)
+      return r
+    } catch (e) {
+      await client.query('ROLLBACK').catch(() => {})
+      this._transactionEnded(client, false)
+      throw e
+    } finally {
+      delete request.transaction
+      client.release()
+    }
+  }
+}
+
+exports = module.exports = PostgresStoreMixin
@@ -0,0 +1,510 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+// The SQL-building logic shared by SQL backends (MySqlStoreMixin, SqliteStoreMixin).
+// Database-specific mixins extend this one, and must implement `query()` and `execute()`;
+// they can also redefine the dialect methods (`escapeId()`, `lockClause()`, etc.)
+var SqlStoreMixin = (superclass) => class extends superclass {
+  constructor () {
+    super()
+    this.connection = this.constructor.connection
+    this.table = this.constructor.table
+  }
+
+  static get connection () {
+    return null
+  }
+
+  static get table () {
+    return null
+  }
+
+  // ****************************************************
+  // *** DIALECT
+  // ****************************************************
+
+  // Runs a query, and returns the resulting rows. Placeholders are `?`
+  async query (request, sql, args) {
+    throw (new Error('query not implemented, store is not functional'))
+  }
+
+  // Runs a statement, and returns `{ insertId, affectedRows }`. If the statement
+  // has a RETURNING clause (see `returningClause()`), `rows` is also returned
+  async execute (request, sql, args) {
+    throw (new Error('execute not implemented, store is not functional'))
+  }
+
+  // Escapes an identifier (a field name)
+  escapeId (name) {
+    return '`' + String(name).replace(/`/g, '``') + '`'
+  }
+
+  // Appended to the SELECTs that read positions, when in a transaction, so that
+  // those rows are locked until the end of it
+  lockClause (request) {
+    return ''
+  }
+
+  // Appended to the UPDATE that "makes space" when placing a record, so that
+  // positions are shifted starting from the last one
+  shiftOrderClause () {
+    return ''
+  }
+
+  // Appended to INSERT and UPDATE statements, for databases that can return the
+  // written record rather than having to fetch it again
+  returningClause () {
+    return ''
+  }
+
+  // VALUES part of an INSERT with no fields
+  emptyInsertValues () {
+    return 'DEFAULT VALUES'
+  }
+
+  // ****************************************************
+  // *** SQL BUILDING
+  // ****************************************************
+
+  _checkVars () {
+    if (!this.connection) throw new Error('The static property "connection" must be set')
+    if (!this.table) throw new Error('The static property "table" must be set')
+  }
+
+  // If `fields` is passed (it's request.options.fields, already validated
+  // by the store), only those fields are selected
+  _selectFields (prefix, fields) {
+    var l = []
+
+    if (Array.isArray(fields)) return fields.map((field) => `${prefix}${this.escapeId(field)}`).join(',')
+
+    // Always return isProperty
+    l.push(`${prefix}${this.escapeId(this.idProperty)}`)
+
+    // Return all fields from the schema that are not marked as "silent"
+    for (var k in this.schema.structure) {
+      if (!this.schema.structure[k].silent && k !== this.idProperty) l.push(`${prefix}${this.escapeId(k)}`)
+    }
+
+    // Link everything up, and that's it!
+    return l.join(',')
+  }
+
+  // The SET part of an UPDATE, for all fields in `body`
+  _setFields (body, args) {
+    return Object.keys(body).map((k) => {
+      args.push(body[k])
+      return `${this.escapeId(k)} = ?`
+    }).join(', ')
+  }
+
+  // If a positionField is set, then delete body.beforeId -- before saving it
+  // in this.data, so that it can be used for positioning
+  async beforeValidate (request, method) {
+    if (this.positionField) {
+      request.beforeId = request.body[this.beforeIdField]
+      delete request.body[this.beforeIdField]
+    }
+
+    return super.beforeValidate(request, method)
+  }
+
+  // Input: request.params
+  // Output: an object
+  async implementFetch (request) {
+    this._checkVars()
+
+    var fields = this._selectFields(`${this.table}.`, request.options && request.options.fields)
+    return (await this.query(request, `SELECT ${fields} FROM ${this.table} WHERE ${this.table}.${this.escapeId(this.idProperty)} = ?`, [ request.params[this.idProperty] ]))[0]
+  }
+
+  _positionFiltersFieldsSame (request) {
+    // If there is no original request.doc, there is nothing to check
+    if (!request.doc) return true
+
+    // Check whether the positionFilter fields have changed.
+    // Note that it's a soft `!=` comparison since the way data is stored on the DB
+    // might be different to what is passed. This assumes that DB and JS will have
+    // compatible results
+    for (let k of this.positionFilter) {
+      if (typeof request.body[k] !== 'undefined' && typeof request.doc[k] !== 'undefined') {
+        if (request.body[k] != request.doc[k]) return false
+      }
+    }
+    return true
+  }
+
+  // Make sure the positionField is updated depending on beforeID passed:
+  // undefined    => leave it where it was (if it had a position) or place it last (if it didn't have a position)
+  // null         => place it last
+  // number       => valid record   => place it before that record, "making space"
+  //              => INvalid record => place it last
+  async _calculatePosition (request) {
+    // No position field: exit right away
+    if (typeof this.positionField === 'undefined') return
+
+    var positionField = this.escapeId(this.positionField)
+    var idProperty = `${this.table}.${this.escapeId(this.idProperty)}`
+
+    // In a transaction, rows read to work out positions are locked until the
+    // end of it, so that concurrent writes can't end up with the same position
+    var lock = this.lockClause(request)
+
+    // This function will be called a lot in case the record is to be placed last.
+    // It has side-effects (it changes request.body AND it changes the DB)
+    var last = async () => {
+      request.body[this.positionField] = Number((await this.query(request, `SELECT max(${positionField}) as ${this.escapeId('maxPosition')} FROM ${this.table} WHERE ${wherePositionFilter}${lock}`, positionQueryArgs))[0].maxPosition) + 1
+    }
+
+    // Work really hard to find out what the previous position was
+    // Note: request.doc might be empty even in case of update in case
+    // of usage via API (implementUpdate() with dummy/incomplete request)
+    var prevPosition
+    if (request.doc) prevPosition = request.doc[this.positionField]
+    else {
+      if (request.params && typeof request.params[this.idProperty] !== 'undefined') {
+        var r = (await this.query(request, `SELECT ${positionField} FROM ${this.table} WHERE ${idProperty} = ?`, [ request.params[this.idProperty] ]))[0]
+        if (r) prevPosition = r[this.positionField]
+      }
+    }
+
+    var positionQueryArgs = []
+    var wherePositionFilter
+    if (this.positionFilter.length === 0) wherePositionFilter = '1 = 1'
+    else {
+      let source = request.doc || request.body
+      let r = []
+      for (let k of this.positionFilter) {
+        if (source[k] === null || typeof source[k] === 'undefined') {
+          r.push(`(${this.escapeId(k)} is NULL)`)
+        } else {
+          r.push(`(${this.escapeId(k)} = ?)`)
+          positionQueryArgs.push(source[k])
+        }
+      }
+      wherePositionFilter = ' ' + r.join(' AND ') + ' '
+    }
+
+    // If ANY of the positionFilters have changed, it will go
+    // last, end of story (since "position 2" might mean something different)
+    if (!this._positionFiltersFieldsSame(request)) {
+      await last()
+
+    // undefined    => leave it where it was (if it had a position) or place it last (if it didn't have a position)
+    } else if (typeof request.beforeId === 'undefined') {
+      if (!prevPosition) await last()
+      else request.body[this.positionField] = prevPosition
+
+    // null         => place it last
+    } else if (request.beforeId === null) {
+      await last()
+
+    // number       => valid record   => place it before that record, overwriting previous position
+    //                 Invalid record => place it last
+    } else {
+      var beforeIdItem = (await this.query(request, `SELECT ${idProperty}, ${positionField} FROM ${this.table} WHERE ${idProperty} = ? AND ${wherePositionFilter}${lock}`, [ request.beforeId, ...positionQueryArgs ]))[0]
+
+      // number       => valid record   => place it before that record, "making space"
+      if (beforeIdItem) {
+        await this.execute(request, `UPDATE ${this.table} SET ${positionField} = ${positionField} + 1 WHERE ${positionField} >= ?  AND ${wherePositionFilter}${this.shiftOrderClause()}`, [ beforeIdItem[this.positionField] || 0, ...positionQueryArgs ])
+        request.body[this.positionField] = beforeIdItem[this.positionField]
+      //              => INvalid record => place it last
+      } else {
+        await last()
+      }
+    }
+  }
+
+  // Input: request.body, request.options.[placement,placementAfter]
+  // Output: an object (saved record)
+  async implementInsert (request) {
+    this._checkVars()
+
+    await this._calculatePosition(request)
+
+    var args = []
+    var fields = Object.keys(request.body)
+    var values = fields.length
+      ? `(${fields.map((k) => this.escapeId(k)).join(',')}) VALUES (${fields.map((k) => { args.push(request.body[k]); return '?' }).join(',')})`
+      : this.emptyInsertValues()
+
+    let insertResults = await this.execute(request, `INSERT INTO ${this.table} ${values}${this.returningClause()}`, args)
+    if (insertResults.rows && insertResults.rows.length) return insertResults.rows[0]
+
+    // The record is fetched again using the ID it was inserted with or, if there
+    // wasn't one, the one generated by the database
+    var id = request.body[this.idProperty]
+    if (id === null || typeof id === 'undefined') id = insertResults.insertId
+
+    var bogusRequest = { session: request.session, transaction: request.transaction, params: { [this.idProperty]: id } }
+    return this.implementFetch(bogusRequest)
+  }
+
+  // Input:
+  // - request.params (query)
+  // - request.body (data)
+  // - request.options.field (field name if it's a one-field update)
+  // - request.options.[placement,placementAfter] (for record placement)
+  // Output: an object (updated record)
+  async implementUpdate (request) {
+    this._checkVars()
+
+    await this._calculatePosition(request)
+
+    // If there is a version field, the update will only happen if the record
+    // still has the version it had when it was fetched, so that check and write are atomic
+    var args = []
+    var setStr = this._setFields(request.body, args)
+    args.push(request.params[this.idProperty])
+    var whereVersion = ''
+    if (this.versionField && request.doc) whereVersion = this._whereVersion(request.doc, args)
+
+    // Nothing to update: it's just a matter of checking that the record is there
+    if (setStr) {
+      let updateResults = await this.execute(request, `UPDATE ${this.table} SET ${setStr} WHERE ${this.escapeId(this.idProperty)} = ?${whereVersion}${this.returningClause()}`, args)
+      if (whereVersion && updateResults.affectedRows === 0) throw new this.constructor.PreconditionFailedError()
+      if (updateResults.rows) return updateResults.rows[0]
+    }
+
+    var bogusRequest = { session: request.session, transaction: request.transaction, params: { [this.idProperty]: request.params[this.idProperty] } }
+    return this.implementFetch(bogusRequest)
+  }
+
+  // Input: request.params
+  // Output: an object (deleted record)
+  async implementDelete (request) {
+    this._checkVars()
+
+    var fields = this._selectFields(`${this.table}.`)
+    var idProperty = this.escapeId(this.idProperty)
+
+    let record = (await this.query(request, `SELECT ${fields} FROM ${this.table} WHERE ${idProperty} = ?`, [ request.params[this.idProperty] ]))[0]
+
+    // If a specific version was requested, the record is only deleted if it
+    // still has the version it had when it was fetched
+    var args = [request.params[this.idProperty]]
+    var whereVersion = ''
+    if (this.versionField && request.doc && typeof request.options.ifMatch !== 'undefined') {
+      whereVersion = this._whereVersion(request.doc, args)
+    }
+
+    let deleteResults = await this.execute(request, `DELETE FROM ${this.table} WHERE ${idProperty} = ?${whereVersion}`, args)
+    if (whereVersion && deleteResults.affectedRows === 0) throw new this.constructor.PreconditionFailedError()
+    return record
+  }
+
+  // The condition for a record to still have the version `doc` has. A record
+  // without a version (e.g. written before the version field was added) is
+  // at version 0, as for docVersion() and _bumpVersion()
+  _whereVersion (doc, args) {
+    var field = this.escapeId(this.versionField)
+    var version = doc[this.versionField]
+    if (version === null || typeof version === 'undefined' || Number(version) === 0) {
+      args.push(0)
+      return ` AND (${field} = ? OR ${field} IS NULL)`
+    }
+    args.push(version)
+    return ` AND ${field} = ?`
+  }
+
+  // Escape the LIKE wildcards in a value
+  _escapeLike (value) {
+    return String(value).replace(/[\\%_]/g, '\\$&')
+  }
+
+  // LIKE clause, with `\` as escape character
+  likeClause (field) {
+    return `${field} LIKE ? ESCAPE '\\'`
+  }
+
+  // Turns one operator condition into SQL, adding its arguments to `args`
+  operatorCondition (field, op, operand, args) {
+    switch (op) {
+      case 'eq':
+        if (operand === null) return `${field} IS NULL`
+        args.push(operand)
+        return `${field} = ?`
+
+      case 'ne':
+        if (operand === null) return `${field} IS NOT NULL`
+        args.push(operand)
+        return `${field} <> ?`
+
+      case 'gt': args.push(operand); return `${field} > ?`
+      case 'gte': args.push(operand); return `${field} >= ?`
+      case 'lt': args.push(operand); return `${field} < ?`
+      case 'lte': args.push(operand); return `${field} <= ?`
+
+      case 'like': args.push(operand); return this.likeClause(field)
+      case 'startsWith': args.push(this._escapeLike(operand) + '%'); return this.likeClause(field)
+      case 'contains': args.push('%' + this._escapeLike(operand) + '%'); return this.likeClause(field)
+
+      case 'in':
+        if (!operand.length) return '1=0'
+        args.push(...operand)
+        return `${field} IN (${operand.map(() => '?').join(',')})`
+
+      case 'between':
+        args.push(operand[0], operand[1])
+        return `${field} BETWEEN ? AND ?`
+
+      case 'isNull':
+        return operand ? `${field} IS NULL` : `${field} IS NOT NULL`
+
+      default:
+        throw new Error('Unknown operator: ' + op)
+    }
+  }
+
+  defaultConditions (request, args, whereStr, prefix = '') {
+    var ch = request.options.conditionsHash
+    for (let k in ch) {
+      var kEscaped = this.escapeId(k)
+      // Add fields that are in the searchSchema
+      if (this.searchSchema.structure[k] && this.schema.structure[k] && String(ch[k]) !== '') {
+        if (ch[k] === null) {
+          whereStr = whereStr + ` AND ${prefix}${kEscaped} IS NULL`
+        } else if (typeof ch[k] === 'object' && !Array.isArray(ch[k]) && !(ch[k] instanceof Date)) {
+          // Operator conditions, e.g. `{ price: { gte: 10, lt: 20 } }`
+          for (let op in ch[k]) {
+            whereStr = whereStr + ` AND ${this.operatorCondition(`${prefix}${kEscaped}`, op, ch[k][op], args)}`
+          }
+        } else {
+          args.push(ch[k])
+          whereStr = whereStr + ` AND ${prefix}${kEscaped} = ?`
+        }
+      }
+    }
+
+    for (let k in request.params) {
+      let kEscaped = this.escapeId(k)
+      if (this.schema.structure[k] && String(request.params[k]) !== '') {
+        args.push(request.params[k])
+        whereStr = whereStr + ` AND ${prefix}${kEscaped} = ?`
+      }
+    }
+
+    // Add the filter expression, if there is one
+    if (request.options.filter) {
+      whereStr = whereStr + ` AND ${this.filterCondition(request.options.filter, args, prefix)}`
+    }
+
+    return { args, whereStr }
+  }
+
+  // Compile a (validated) filter tree into SQL, adding its arguments to `args`
+  filterCondition (node, args, prefix = '') {
+    if (node.and) return '(' + node.and.map((child) => this.filterCondition(child, args, prefix)).join(' AND ') + ')'
+    if (node.or) return '(' + node.or.map((child) => this.filterCondition(child, args, prefix)).join(' OR ') + ')'
+    if (node.not) return `(NOT ${this.filterCondition(node.not, args, prefix)})`
+
+    // Leaves can only refer to fields that are in the schema: fields that are only in
+    // searchSchema need a custom filterCondition()
+    if (!this.schema.structure[node.field]) throw new Error('Field cannot be used in filters: ' + node.field)
+    return '(' + this.operatorCondition(`${prefix}${this.escapeId(node.field)}`, node.operator, node.value, args) + ')'
+  }
+
+  // Keyset pagination: the records coming after the cursor's values in the sort
+  // order (or before them, when going backwards). With `a` and `b` as sort fields,
+  // this is `(a > ?) OR (a = ? AND b > ?)`
+  keysetCondition (sort, keyset, args, prefix = '') {
+    var fields = Object.keys(sort)
+    var alternatives = fields.map((field, i) => {
+      var descending = Number(sort[field]) === 1
+      if (keyset.direction === 'prev') descending = !descending
+
+      var l = fields.slice(0, i).map((f) => this.operatorCondition(`${prefix}${this.escapeId(f)}`, 'eq', keyset.values[f], args))
+      l.push(this.keysetComparison(`${prefix}${this.escapeId(field)}`, descending ? 'lt' : 'gt', keyset.values[field], args))
+      return '(' + l.join(' AND ') + ')'
+    })
+    return '(' + alternatives.join(' OR ') + ')'
+  }
+
+  // `field` coming after (`gt`) or before (`lt`) `value` in the sort order.
+  // NULL comes before any other value, as it does when MySql and SQLite sort
+  // (PostgresStoreMixin's makeSortString() makes sure it does in Postgres too)
+  keysetComparison (field, op, value, args) {
+    if (value === null) return op === 'gt' ? `${field} IS NOT NULL` : '1=0'
+
+    var condition = this.operatorCondition(field, op, value, args)
+    return op === 'gt' ? condition : `(${condition} OR ${field} IS NULL)`
+  }
+
+  makeSortString (sort = {}) {
+    var sortStr = ''
+    if (Object.keys(sort).length) {
+      let l = []
+      sortStr = ' ORDER BY '
+      for (let k in sort) {
+        l.push(this.escapeId(k) + ' ' + (Number(sort[k]) === 1 ? 'DESC' : 'ASC'))
+      }
+      sortStr = sortStr + l.join(',')
+    }
+    return sortStr
+  }
+
+  // Input: request.params, request.options.[conditionsHash,filter,ranges.[skip,limit],sort,keyset,skipGrandTotal]
+  // Output: { dataArray, total, grandTotal }
+  async implementQuery (request) {
+    this._checkVars()
+
+    request.options.sort = request.options.sort || this.defaultSort || {}
+    request.options.ranges = request.options.ranges || { skip: 0, limit: this.defaultLimitOnQueries }
+
+    let args = []
+    var whereStr = ' 1=1'
+
+    // Make up default conditions
+    ;({ args, whereStr } = this.defaultConditions(request, args, whereStr))
+
+    // The grandTotal doesn't depend on the page
+    var countArgs = args.slice()
+    var countWhereStr = whereStr
+
+    // Keyset pagination. When going backwards, the sort is reversed
+    // (records are returned in reverse order)
+    var sort = request.options.sort
+    var keyset = request.options.keyset
+    if (keyset) {
+      whereStr = whereStr + ` AND ${this.keysetCondition(sort, keyset, args)}`
+      if (keyset.direction === 'prev') {
+        sort = {}
+        for (let k in request.options.sort) sort[k] = Number(request.options.sort[k]) === 1 ? -1 : 1
+      }
+    }
+
+    // Add ranges
+    args.push(request.options.ranges.limit)
+    args.push(request.options.ranges.skip)
+
+    // Set up sort
+    var sortStr = this.makeSortString(sort)
+
+    // Make up list of fields
+    var fields = this._selectFields(`${this.table}.`, request.options.fields)
+
+    var result = await this.query(request, `SELECT ${fields} FROM ${this.table} WHERE ${whereStr} ${sortStr} LIMIT ? OFFSET ?`, args)
+    if (request.options.skipGrandTotal) return { data: result }
+
+    var grandTotal = Number((await this.query(request, `SELECT COUNT (*) as ${this.escapeId('grandTotal')} FROM ${this.table} WHERE ${countWhereStr}`, countArgs))[0].grandTotal)
+
+    return { data: result, grandTotal: grandTotal }
+  }
+
+  cleanup (record) {
+    var r = Object.assign({}, record)
+    for (var k in r) {
+      if (typeof this.schema.structure[k] === 'undefined') delete r[k]
+    }
+    return r
+  }
+}
+
+exports = module.exports = SqlStoreMixin
@@ -0,0 +1,100 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+var AsyncLocalStorage = require('async_hooks').AsyncLocalStorage
+var SqlStoreMixin = require('./SqlStoreMixin')
+
+// Transactions running on each database, and the database of the running one
+var queues = new WeakMap()
+var running = new AsyncLocalStorage()
+
+// SQLite backend. `connection` is a database, as created by the `sqlite3` module
+// (e.g. `new sqlite3.Database('data.db')` or `new sqlite3.Database(':memory:')`)
+var SqliteStoreMixin = (superclass) => class extends SqlStoreMixin(superclass) {
+  async query (request, sql, args) {
+    return this._whenIdle(request, () => new Promise((resolve, reject) => {
+      this.connection.all(sql, args || [], (err, rows) => {
+        if (err) reject(err)
+        else resolve(rows)
+      })
+    }))
+  }
+
+  async execute (request, sql, args) {
+    return this._whenIdle(request, () => new Promise((resolve, reject) => {
+      this.connection.run(sql, args || [], function (err) {
+        if (err) reject(err)
+        else resolve({ insertId: this.lastID, affectedRows: this.changes })
+      })
+    }))
+  }
+
+  // Statements that are not part of the running transaction are queued like
+  // transactions are: since there is only one connection, they would otherwise
+  // see (or become part of) a transaction that isn't committed yet
+  _whenIdle (request, f) {
+    var connection = this.connection
+    if ((request && request.transaction) || running.getStore() === connection) return f()
+
+    var run = (queues.get(connection) || Promise.resolve()).then(f)
+    queues.set(connection, run.catch(() => {}))
+    return run
+  }
+
+  escapeId (name) {
+    return '"' + String(name).replace(/"/g, '""') + '"'
+  }
+
+  // SQLite has one connection, and one transaction at a time: write requests
+  // are queued, and each one runs in a transaction. request.transaction is set
+  // to the database. API calls made while running a transaction (e.g. by a hook)
+  // become part of it, whether or not options.transaction was passed
+  async transaction (request, f) {
+    this._checkVars()
+
+    var connection = this.connection
+    if (request.transaction) return f()
+    if (running.getStore() === connection) {
+      request.transaction = connection
+      try {
+        return await f()
+      } finally {
+        delete request.transaction
+      }
+    }
+
+    // What's held back until the commit runs outside of the transaction and
+    // of the queue: API calls it makes are queued as usual
+    var ended
+    var run = (queues.get(connection) || Promise.resolve()).then(() => running.run(connection, async () => {
+      request.transaction = connection
+      try {
+        await this.execute(request, 'BEGIN IMMEDIATE')
+        this._transactionStarted(connection)
+        var r = await f()
+        await this.execute(request, 'COMMIT')
+        ended = running.exit(() => this._transactionEnded(connection, true))
+        return r
+      } catch (e) {
+        await this.execute(request, 'ROLLBACK').catch(() => {})
+        this._transactionEnded(connection, false)
+        throw e
+      } finally {
+        delete request.transaction
+      }
+    }))
+    queues.set(connection, run.catch(() => {}))
+    return run.then(async (r) => {
+      await ended
+      return r
+    })
+  }
+}
+
+exports = module.exports = SqliteStoreMixin
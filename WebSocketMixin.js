@@ -0,0 +1,128 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+var { statuses, makeRequest, runRequest } = require('./operations')
+
+// WebSocket servers, each one with the stores listening on it (by name).
+// A client can use all of the stores of a server over one socket
+var servers = new WeakMap()
+
+// Handles one message received by a server, sending the reply to the socket.
+// Nothing thrown here can reach the socket's event emitter: unexpected
+// errors are sent back as a 500 error frame
+function onMessage (stores, ws, req, data) {
+  var message
+  var id = null
+  var reply = (id, status, body) => { if (ws.readyState === 1) ws.send(JSON.stringify({ id, status, body })) }
+
+  try {
+    try {
+      message = JSON.parse(String(data))
+    } catch (e) {
+      return reply(null, 400, { message: 'Invalid JSON' })
+    }
+    if (typeof message !== 'object' || message === null) return reply(null, 400, { message: 'Invalid message' })
+
+    if (typeof message.id !== 'undefined') id = message.id
+    if (typeof message.store !== 'string' || !Object.prototype.hasOwnProperty.call(stores, message.store)) {
+      return reply(id, 404, { message: 'Store not found: ' + message.store })
+    }
+    if (typeof statuses[ message.method ] === 'undefined') return reply(id, 400, { message: 'Invalid method: ' + message.method })
+
+    var store = stores[ message.store ]
+    store._makeWSRequest(message, ws, req).catch((error) => {
+      store.logError({ remote: true, protocol: 'WS' }, error)
+      reply(id, 500, { message: 'Internal Server Error' })
+    })
+  } catch (error) {
+    reply(id, 500, { message: 'Internal Server Error' })
+  }
+}
+
+// Makes stores available over WebSocket. Messages are JSON objects with `id`
+// (any value, returned in the reply to match it with its message), `store`,
+// `method` (get, getQuery, put, post, delete, patch or restore), and where
+// needed `params`, `body` and `options`. Requests go through the same pipeline
+// as HTTP ones: `request.remote` is true, permissions are checked, and
+// `request.protocol` is `WS`. The session is the upgrade request's `req.session`
+var WebSocketMixin = (superclass) => class extends superclass {
+  // Listens to `params.wss`, a WebSocket server (as created by the `ws` module).
+  // Every store using the same server shares its connections
+  protocolListenWS (params) {
+    var wss = params.wss
+    var stores = servers.get(wss)
+
+    if (!stores) {
+      stores = Object.create(null)
+      servers.set(wss, stores)
+      wss.on('connection', (ws, req) => {
+        ws.on('message', (data) => onMessage(stores, ws, req, data))
+
+        // Socket errors (e.g. invalid frames, or connections reset by the client)
+        // would crash the process if unhandled: they are logged, and the socket is closed
+        ws.on('error', (error) => {
+          this.logError({ remote: true, protocol: 'WS', _req: req }, error)
+          ws.terminate()
+        })
+      })
+    }
+
+    stores[ this.storeName ] = this
+  }
+
+  // Makes up the request for a message, and runs it
+  async _makeWSRequest (message, ws, req) {
+    var request = { messageId: typeof message.id !== 'undefined' ? message.id : null, _ws: ws }
+
+    try {
+      request = makeRequest(this, message, 'WS', req)
+      request.messageId = typeof message.id !== 'undefined' ? message.id : null
+      request._ws = ws
+
+      var data = await runRequest(this, message.method, request)
+      this.protocolSendWS(request, message.method, data)
+    } catch (error) {
+      this.logError(request, error)
+      this.protocolSendWS(request, 'error', error)
+    }
+  }
+
+  // Sends the reply to a message, with the same `id`. Errors are formatted with
+  // formatErrorResponse(); errors without an HTTP status (e.g. database errors)
+  // are sent as 500, without details
+  protocolSendWS (request, method, data) {
+    var reply = { id: request.messageId }
+
+    if (method === 'error') {
+      if (typeof data.status === 'undefined') {
+        reply.status = 500
+        reply.body = { message: 'Internal Server Error' }
+      } else {
+        reply.status = Number(data.status)
+        reply.body = this.formatErrorResponse(data)
+      }
+    } else {
+      reply.status = statuses[ method ]
+      reply.body = data
+      if (request.docVersion) reply.version = request.docVersion
+
+      if (method === 'getQuery') {
+        if (typeof request.grandTotal !== 'undefined') reply.grandTotal = request.grandTotal
+        if (this.cursorPagination) {
+          reply.nextCursor = request.nextCursor
+          reply.prevCursor = request.prevCursor
+        }
+      }
+    }
+
+    if (request._ws.readyState === 1) request._ws.send(JSON.stringify(reply))
+  }
+}
+
+exports = module.exports = WebSocketMixin
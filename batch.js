@@ -0,0 +1,108 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+var Store = require('./jsonreststores')
+var { statuses, makeRequest, runRequest } = require('./operations')
+
+var BadRequestError = Store.BadRequestError
+var NotFoundError = Store.NotFoundError
+
+// Runs one operation through the store's pipeline, returning `{ status, body }`.
+// For getQuery, the result also has `grandTotal` (if known) and, in cursor
+// mode, `nextCursor` and `prevCursor`
+async function runOperation (operation, req) {
+  if (typeof operation !== 'object' || operation === null) throw new BadRequestError('Invalid operation')
+  if (typeof statuses[ operation.method ] === 'undefined') throw new BadRequestError('Invalid method: ' + operation.method)
+
+  // Only stores available via HTTP can be used
+  var store = Store.getStore(operation.store)
+  if (!store || typeof store.protocolListenHTTP !== 'function' || !store.getFullPublicURL()) {
+    throw new NotFoundError('Store not found: ' + operation.store)
+  }
+
+  var request = makeRequest(store, operation, 'batch', req)
+
+  var data
+  try {
+    data = await runRequest(store, operation.method, request)
+  } catch (error) {
+    store.logError(request, error)
+    throw error
+  }
+
+  var result = { status: statuses[ operation.method ], body: data }
+  if (operation.method === 'getQuery') {
+    if (typeof request.grandTotal !== 'undefined') result.grandTotal = request.grandTotal
+    if (store.cursorPagination) {
+      result.nextCursor = request.nextCursor
+      result.prevCursor = request.prevCursor
+    }
+  }
+  return result
+}
+
+// Runs a list of operations, in order. Each operation is an object with
+// `store`, `method` (get, getQuery, put, post, delete, patch or restore), `params`,
+// `body` and `options`. Returns a list of `{ status, body }` objects.
+// Failed operations have the error's status (500 for non-HTTP errors), and
+// the error as body; if `stopOnError` is set, the following operations are
+// not run, and are not in the returned list
+async function runBatch (operations, req, stopOnError) {
+  var results = []
+
+  for (var i = 0; i < operations.length; i++) {
+    var operation = operations[ i ]
+    try {
+      results.push(await runOperation(operation, req))
+    } catch (error) {
+      var store = Store.getStore(operation && operation.store)
+      var formatErrorResponse = store ? store.formatErrorResponse.bind(store) : Store.prototype.formatErrorResponse
+
+      if (typeof error.status === 'undefined') results.push({ status: 500, body: { message: 'Internal Server Error' } })
+      else results.push({ status: Number(error.status), body: formatErrorResponse(error) })
+
+      if (stopOnError) break
+    }
+  }
+
+  return results
+}
+
+// Listens to `params.url` (default: /_batch) for POST requests. The body is
+// either the list of operations, or an object with `operations` and `stopOnError`.
+// `params.stopOnError` sets the default, and `params.maxOperations` (default: 100)
+// is the maximum number of operations per request
+function protocolListenHTTP (params) {
+  var app = params.app
+  var url = params.url || '/_batch'
+  var maxOperations = params.maxOperations || 100
+
+  app.post(url, async function (req, res, next) {
+    try {
+      var body = req.body
+      var operations = Array.isArray(body) ? body : body && body.operations
+      var stopOnError = !!params.stopOnError
+      if (!Array.isArray(body) && body && typeof body.stopOnError !== 'undefined') stopOnError = !!body.stopOnError
+
+      if (!Array.isArray(operations)) {
+        return res.status(400).json({ message: 'The body must be a list of operations' })
+      }
+      if (operations.length > maxOperations) {
+        return res.status(400).json({ message: 'Too many operations (max: ' + maxOperations + ')' })
+      }
+
+      res.status(200).json(await runBatch(operations, req, stopOnError))
+    } catch (e) {
+      next(e)
+    }
+  })
+}
+
+exports = module.exports = { runBatch, protocolListenHTTP }
@@ -0,0 +1,57 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+// Reads the bodies of requests that weren't parsed by a body parser (e.g. patches
+// with their own content types, or JSON-RPC calls), up to a maximum size
+
+var { PayloadTooLargeError } = require('allhttperrors')
+
+// The default maximum size, in bytes: 100kb, as for Express's JSON body parser
+var defaultLimit = 100 * 1024
+
+// Resolves with the body of `req`, as a string. If it's larger than `limit`
+// bytes, the promise is rejected with a PayloadTooLargeError (413) as soon as
+// that's known (from the Content-Length header, or once that many bytes arrived),
+// and the rest of the body is not read
+function readBody (req, limit) {
+  if (typeof limit === 'undefined' || limit === null) limit = defaultLimit
+
+  return new Promise((resolve, reject) => {
+    var chunks = []
+    var size = 0
+    var done = false
+
+    var finish = (error, body) => {
+      if (done) return
+      done = true
+      req.removeListener('data', onData)
+      req.removeListener('end', onEnd)
+      if (error) {
+        req.pause()
+        reject(error)
+      } else resolve(body)
+    }
+    var onData = (chunk) => {
+      size += chunk.length
+      if (size > limit) return finish(new PayloadTooLargeError())
+      chunks.push(chunk)
+    }
+    var onEnd = () => finish(null, Buffer.concat(chunks).toString('utf8'))
+
+    // The error listener stays, so that errors after the body was rejected aren't unhandled
+    req.on('error', (error) => finish(error))
+    if (Number(req.headers[ 'content-length' ]) > limit) return finish(new PayloadTooLargeError())
+
+    req.on('data', onData)
+    req.on('end', onEnd)
+  })
+}
+
+exports = module.exports = { defaultLimit, readBody }
@@ -0,0 +1,193 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/*
+  Minimal implementations of JSON Merge Patch (RFC 7386) and JSON Patch (RFC 6902).
+  Neither function changes the target passed: a patched copy is returned.
+  Problems are reported by throwing a PatchError. If the error was caused by a
+  failed `test` operation, `failedTest` is set to true.
+*/
+
+var PatchError = class extends Error {
+  constructor (message, failedTest) {
+    super(message)
+    this.failedTest = !!failedTest
+  }
+}
+
+// Keys that could reach (and change) the prototypes of objects
+var forbiddenKeys = [ '__proto__', 'constructor', 'prototype' ]
+
+function checkKey (key) {
+  if (forbiddenKeys.indexOf(key) !== -1) throw new PatchError('Invalid key: ' + key)
+}
+
+function hasOwn (o, key) {
+  return Object.prototype.hasOwnProperty.call(o, key)
+}
+
+function isObject (o) {
+  return typeof o === 'object' && o !== null && !Array.isArray(o)
+}
+
+function clone (o) {
+  if (typeof o === 'undefined') return o
+  return JSON.parse(JSON.stringify(o))
+}
+
+function deepEqual (a, b) {
+  if (a === b) return true
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+
+  var aKeys = Object.keys(a)
+  if (aKeys.length !== Object.keys(b).length) return false
+  return aKeys.every((k) => hasOwn(b, k) && deepEqual(a[ k ], b[ k ]))
+}
+
+// RFC 7386: objects are merged recursively, `null` removes a member,
+// anything else (including arrays) replaces the target
+function applyMergePatch (target, patch) {
+  if (!isObject(patch)) return clone(patch)
+
+  var r = isObject(target) ? clone(target) : {}
+  Object.keys(patch).forEach((k) => {
+    checkKey(k)
+    if (patch[ k ] === null) delete r[ k ]
+    else r[ k ] = applyMergePatch(hasOwn(r, k) ? r[ k ] : undefined, patch[ k ])
+  })
+  return r
+}
+
+// Turns a JSON pointer (RFC 6901) into a list of tokens
+function parsePointer (pointer) {
+  if (typeof pointer !== 'string') throw new PatchError('Path must be a string')
+  if (pointer === '') return []
+  if (pointer[0] !== '/') throw new PatchError('Invalid path: ' + pointer)
+
+  var tokens = pointer.substr(1).split('/').map((t) => t.replace(/~1/g, '/').replace(/~0/g, '~'))
+  tokens.forEach(checkKey)
+  return tokens
+}
+
+// Returns the container of the location pointed at by `tokens`, and the last token
+function locate (document, tokens, pointer) {
+  var container = document
+  for (var i = 0; i < tokens.length - 1; i++) {
+    if (container === null || typeof container !== 'object' || !hasOwn(container, tokens[ i ])) {
+      throw new PatchError('Path not found: ' + pointer)
+    }
+    container = container[ tokens[ i ] ]
+  }
+  if (container === null || typeof container !== 'object') throw new PatchError('Path not found: ' + pointer)
+
+  return { container, key: tokens[ tokens.length - 1 ] }
+}
+
+function arrayIndex (array, key, pointer, allowEnd) {
+  if (allowEnd && key === '-') return array.length
+  if (!/^(0|[1-9][0-9]*)$/.test(key)) throw new PatchError('Invalid array index: ' + pointer)
+
+  var index = Number(key)
+  if (index > array.length || (!allowEnd && index === array.length)) throw new PatchError('Array index out of bounds: ' + pointer)
+  return index
+}
+
+function getValue (document, pointer) {
+  var tokens = parsePointer(pointer)
+  if (!tokens.length) return document
+
+  var { container, key } = locate(document, tokens, pointer)
+  if (Array.isArray(container)) return container[ arrayIndex(container, key, pointer) ]
+  if (!hasOwn(container, key)) throw new PatchError('Path not found: ' + pointer)
+  return container[ key ]
+}
+
+function addValue (document, pointer, value) {
+  var tokens = parsePointer(pointer)
+  if (!tokens.length) return value
+
+  var { container, key } = locate(document, tokens, pointer)
+  if (Array.isArray(container)) container.splice(arrayIndex(container, key, pointer, true), 0, value)
+  else container[ key ] = value
+  return document
+}
+
+function removeValue (document, pointer) {
+  var tokens = parsePointer(pointer)
+  if (!tokens.length) throw new PatchError('Cannot remove the whole document')
+
+  var { container, key } = locate(document, tokens, pointer)
+  if (Array.isArray(container)) container.splice(arrayIndex(container, key, pointer), 1)
+  else {
+    if (!hasOwn(container, key)) throw new PatchError('Path not found: ' + pointer)
+    delete container[ key ]
+  }
+  return document
+}
+
+// RFC 6902: operations are applied in order; if any of them fails,
+// the whole patch fails
+function applyJsonPatch (target, operations) {
+  if (!Array.isArray(operations)) throw new PatchError('A JSON patch must be an array of operations')
+
+  var document = clone(target)
+
+  operations.forEach((operation) => {
+    if (!isObject(operation)) throw new PatchError('Every JSON patch operation must be an object')
+
+    var op = operation.op
+    var path = operation.path
+
+    switch (op) {
+      case 'add':
+        if (!hasOwn(operation, 'value')) throw new PatchError('Missing value for operation add')
+        document = addValue(document, path, clone(operation.value))
+        break
+
+      case 'remove':
+        document = removeValue(document, path)
+        break
+
+      case 'replace':
+        if (!hasOwn(operation, 'value')) throw new PatchError('Missing value for operation replace')
+        getValue(document, path)
+        if (parsePointer(path).length) document = removeValue(document, path)
+        document = addValue(document, path, clone(operation.value))
+        break
+
+      case 'move':
+        if (typeof operation.from === 'string' && (path === operation.from || path.indexOf(operation.from + '/') === 0)) {
+          if (path !== operation.from) throw new PatchError('Cannot move a location into one of its children')
+          break
+        }
+        var moved = getValue(document, operation.from)
+        document = removeValue(document, operation.from)
+        document = addValue(document, path, moved)
+        break
+
+      case 'copy':
+        document = addValue(document, path, clone(getValue(document, operation.from)))
+        break
+
+      case 'test':
+        if (!hasOwn(operation, 'value')) throw new PatchError('Missing value for operation test')
+        if (!deepEqual(getValue(document, path), operation.value)) throw new PatchError('Test failed: ' + path, true)
+        break
+
+      default:
+        throw new PatchError('Invalid operation: ' + op)
+    }
+  })
+
+  return document
+}
+
+exports = module.exports = { applyMergePatch, applyJsonPatch, parsePointer, PatchError }
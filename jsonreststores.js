@@ -18,11 +18,25 @@ NOTE. When creating a store, you can take the following shortcuts:
 
 var e = require('allhttperrors')
 var path = require('path')
+var crypto = require('crypto')
+var EventEmitter = require('events')
+var { applyMergePatch, applyJsonPatch, parsePointer, PatchError } = require('./jsonPatch')
+var { MemoryRateLimitCounter } = require('./rateLimit')
 // var DO = require('deepobject')
 // var { asyncForEach, asyncMap } = require('p-iterator')
 
 var registry = {}
 
+// The counter used by stores that don't set their own `rateLimitCounter`
+var defaultRateLimitCounter = new MemoryRateLimitCounter()
+
+// Functions (e.g. emitting change events) waiting for their transaction to be committed, by transaction
+var pendingActions = new WeakMap()
+
+// Operators that can be used in conditionsHash, as `{ field: { operator: operand } }`.
+// Fields in searchSchema list the ones they allow with `operators`; `eq` is always allowed
+var operators = [ 'eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'like', 'startsWith', 'contains', 'in', 'between', 'isNull' ]
+
 var Store = class {
   // ****************************************************
   // *** ATTRIBUTES THAT CAN TO BE DEFINED IN PROTOTYPE
@@ -46,6 +60,15 @@ var Store = class {
   static get beforeIdField () { return 'beforeId' } // Virtual field to place elements
   static get positionFilter () { return [] } // List of fields that will determine the subset
 
+  static get parentStores () { return {} } // paramId => name of the store the paramId refers to
+  static get versionField () { return null } // Numeric field incremented at every write, used as version
+  static get updatedAtField () { return null } // Field with the record's last modification date
+  static get alwaysReturnedFields () { return [] } // Fields always returned, even if `fields` is set
+  static get includeLimit () { return 1000 } // Max number of records loaded for each `include` of a list
+  static get permissions () { return null } // Declarative permission rules, by method (see `checkPermissions()`)
+  static get deletedAtField () { return 'deletedAt' } // In soft-delete mode, field with the deletion date
+  static get deletedByField () { return null } // In soft-delete mode, field with the deleting user (optional)
+
   // ****************************************************
   // *** ATTRIBUTES THAT DEFINE STORE'S BEHAVIOUR
   // ****************************************************
@@ -55,30 +78,47 @@ var Store = class {
   static get handleGet () { return false }
   static get handleGetQuery () { return false }
   static get handleDelete () { return false }
+  static get handlePatch () { return false }
+  static get handleRestore () { return false }
+  static get handleGetTrash () { return false }
 
   static get defaultSort () { return null } // If set, it will be applied to all getQuery calls
   static get defaultLimitOnQueries () { return 50 } //  Max number of records returned by default
+  static get filterMaxDepth () { return 4 } // Max nesting of and/or/not in filters
+  static get filterMaxConditions () { return 20 } // Max number of conditions in filters
+  static get cursorPagination () { return false } // Paginate queries with cursors rather than with ranges
+  static get cursorGrandTotal () { return false } // In cursor mode, also work out grandTotal (which can be slow)
+  static get softDelete () { return false } // Deleting a record will move it to the trash rather than removing it
 
 
   static get partial () { return false } //  A write will only affects the passed fields, not the whole record
 
+  static get rateLimits () { return [] } // Limits to the number of requests, see `_checkRateLimits()`
+  static get rateLimitCounter () { return defaultRateLimitCounter } // Where requests are counted
+  static get rateLimitLocal () { return false } // Also limit local (API) requests
+
   // Default error objects which might be used by this module.
   static get BadRequestError () { return e.BadRequestError }
   static get UnauthorizedError () { return e.UnauthorizedError }
   static get ForbiddenError () { return e.ForbiddenError }
   static get NotFoundError () { return e.NotFoundError }
+  static get ConflictError () { return e.ConflictError }
   static get PreconditionFailedError () { return e.PreconditionFailedError }
   static get UnprocessableEntityError () { return e.UnprocessableEntityError }
+  static get UnsupportedMediaTypeError () { return e.UnsupportedMediaTypeError }
   static get NotImplementedError () { return e.NotImplementedError }
   static get ServiceUnavailableError () { return e.ServiceUnavailableError }
+  static get TooManyRequestsError () { return e.TooManyRequestsError }
+  static get PayloadTooLargeError () { return e.PayloadTooLargeError }
 
   // Static getter/setter which will actually manipulate the one `registry` variable
 
   static get registry () { return registry }
   static set registry (r) { registry = r }
-  static getStore (storeName) { return registry[ storeName ] }
+  static getStore (storeName) { return Object.prototype.hasOwnProperty.call(registry, storeName) ? registry[ storeName ] : undefined }
   static deleteStore (storeName) { delete registry[ storeName ] }
   static getAllStores () { return registry }
+  static get operators () { return operators }
 
   // Methods that MUST be implemented for the store to be functional
 
@@ -110,12 +150,22 @@ var Store = class {
     throw (new Error('implementDelete not implemented, store is not functional'))
   }
 
-  // Input: request.params, request.options.[conditionsHash,ranges,sort]
+  // Input: request.params, request.options.[conditionsHash,filter,ranges,sort,keyset,skipGrandTotal]
   // Output: { data, total, grandTotal }
   async implementQuery (request) {
     throw (new Error('implementQuery not implemented, store is not functional'))
   }
 
+  // Optional: runs `f` (a write request's whole pipeline) in a transaction,
+  // and returns what it returns. The transaction is placed in request.transaction,
+  // so that hooks can take part in it; if request.transaction is already set,
+  // the request is part of an existing transaction. By default, there are no transactions.
+  // Implementations must call _transactionStarted() once the transaction is started,
+  // and _transactionEnded() once it's committed (waiting for it) or rolled back
+  async transaction (request, f) {
+    return f()
+  }
+
   // ****************************************************
   // *** BEFORE AND AFTER HOOKS
   // ****************************************************
@@ -150,7 +200,28 @@ var Store = class {
   // *** IMPORTANT IMPLEMENTATION HOOKS
   // ****************************************************
 
-  async checkPermissions (request, method) { return { granted: true } }
+  // By default, it applies the rules in `permissions` (granting everything if there are none)
+  async checkPermissions (request, method) { return this._checkPermissionRules(request, method) }
+
+  // The user of the request's session, used by permission rules (and as
+  // deletedBy). Override it if sessions keep the user elsewhere
+  sessionUser (request) {
+    return (request.session && typeof request.session.user !== 'undefined') ? request.session.user : null
+  }
+
+  // The roles of the request's session, used by permission rules:
+  // `request.session.roles` (a list), or `request.session.role`
+  sessionRoles (request) {
+    var session = request.session || {}
+    if (Array.isArray(session.roles)) return session.roles
+    return typeof session.role !== 'undefined' && session.role !== null ? [ session.role ] : []
+  }
+
+  // In soft-delete mode, the value stored in deletedByField when a record is
+  // moved to the trash
+  deletedBy (request) {
+    return this.sessionUser(request)
+  }
 
   // ****************************************************
   // *** ERROR-MANAGING HELPER FUNCTIONS
@@ -184,6 +255,7 @@ var Store = class {
     self.idProperty = Self.idProperty
     self.paramIds = Self.paramIds
     self.searchSchema = Self.searchSchema
+    self.parentStores = Self.parentStores
     self.storeName = Self.storeName
     self.emptyAsNull = Self.emptyAsNull
 
@@ -192,9 +264,27 @@ var Store = class {
     self.handleGet = Self.handleGet
     self.handleGetQuery = Self.handleGetQuery
     self.handleDelete = Self.handleDelete
+    self.handlePatch = Self.handlePatch
+    self.handleRestore = Self.handleRestore
+    self.handleGetTrash = Self.handleGetTrash
     self.defaultSort = Self.defaultSort
     self.defaultLimitOnQueries = Self.defaultLimitOnQueries
+    self.filterMaxDepth = Self.filterMaxDepth
+    self.filterMaxConditions = Self.filterMaxConditions
+    self.cursorPagination = Self.cursorPagination
+    self.cursorGrandTotal = Self.cursorGrandTotal
+    self.softDelete = Self.softDelete
+    self.deletedAtField = Self.deletedAtField
+    self.deletedByField = Self.deletedByField
     self.partial = Self.partial
+    self.rateLimits = Self.rateLimits
+    self.rateLimitCounter = Self.rateLimitCounter
+    self.rateLimitLocal = Self.rateLimitLocal
+    self.versionField = Self.versionField
+    self.updatedAtField = Self.updatedAtField
+    self.alwaysReturnedFields = Self.alwaysReturnedFields
+    self.includeLimit = Self.includeLimit
+    self._permissions = self._collectPermissions()
 
     this.beforeIdField = this.constructor.beforeIdField
     this.positionField = this.constructor.positionField
@@ -203,6 +293,10 @@ var Store = class {
     // This will contain the single fields
     self._singleFields = {}
 
+    // Emits change events (see `on()`); every SSE client is a listener, hence no limit
+    self._emitter = new EventEmitter()
+    self._emitter.setMaxListeners(0)
+
     // The store name must be defined
     if (self.storeName === null) {
       throw (new Error('You must define a store name for a store in constructor class'))
@@ -238,6 +332,23 @@ var Store = class {
       self.idProperty = self._lastParamId()
     }
 
+    // Parent stores can only be declared for paramIds
+    for (k in self.parentStores) {
+      if (self.paramIds.indexOf(k) === -1) {
+        throw new Error('parentStores can only refer to paramIds, ' + k + ' is not one. Store: ' + self.storeName)
+      }
+    }
+
+    // In soft-delete mode, the deletion fields must be in the schema (and be stored)
+    if (self.softDelete) {
+      [ self.deletedAtField, self.deletedByField ].forEach((k) => {
+        if (k === null) return
+        if (!self.schema.structure[ k ] || self.schema.structure[ k ].silent) {
+          throw new Error('In soft-delete mode, ' + k + ' must be a non-silent field in the schema. Store: ' + self.storeName)
+        }
+      })
+    }
+
     // By default, paramIds are set in schema as { type: 'id' } so that developers
     // can be lazy when defining their schemas
     for (var i = 0, l = self.paramIds.length; i < l; i++) {
@@ -272,6 +383,64 @@ var Store = class {
   // Simple function that shallow-copies an object.
   _co (o) { return Object.assign({}, o) }
 
+  // Subscribe to the changes made by the store. `type` is `inserted`, `updated`
+  // or `deleted`; the listener receives `{ type, method, storeName, doc, request }`
+  on (type, listener) {
+    this._emitter.on(type, listener)
+    return this
+  }
+
+  off (type, listener) {
+    this._emitter.off(type, listener)
+    return this
+  }
+
+  // Emitted once the write is done. If the write is part of a transaction, the
+  // event is only emitted once the transaction is committed, and never if it's
+  // rolled back. A listener throwing an error doesn't affect the request: the error is logged
+  _emitChange (request, method, type, doc) {
+    var emit = () => {
+      try {
+        this._emitter.emit(type, { type, method, storeName: this.storeName, doc, request })
+      } catch (error) {
+        this.logError(request, error)
+      }
+    }
+
+    this._afterCommit(request, emit)
+  }
+
+  // Runs `f` once the request's transaction is committed (never, if it's rolled
+  // back), or straight away if the request isn't part of a transaction.
+  // Once the transaction is committed, an error thrown by `f` can't fail
+  // the request anymore: it's logged
+  async _afterCommit (request, f) {
+    var pending = request.transaction && pendingActions.get(request.transaction)
+    if (!pending) return f()
+
+    pending.push(async () => {
+      try {
+        await f()
+      } catch (error) {
+        this.logError(request, error)
+      }
+    })
+  }
+
+  // Called by transaction() once `transaction` is started: from now on,
+  // change events (and anything passed to _afterCommit()) are held back
+  _transactionStarted (transaction) {
+    pendingActions.set(transaction, [])
+  }
+
+  // Called by transaction() once `transaction` is committed (`committed` is true)
+  // or rolled back: what was held back is run, or dropped. Resolves once it's all run
+  async _transactionEnded (transaction, committed) {
+    var pending = pendingActions.get(transaction) || []
+    pendingActions.delete(transaction)
+    if (committed) for (var f of pending) await f()
+  }
+
   getFullPublicURL () {
     // No prefix: return the publicURL straight
     if (!this.publicURLPrefix) return this.publicURL
@@ -279,6 +448,41 @@ var Store = class {
     return path.join(this.publicURLPrefix, this.publicURL)
   }
 
+  // Returns a string representing the version of a record. If `versionField`
+  // is set, it's the field's value; otherwise, it's a hash of the record.
+  // `doc` must be the whole record: versions of records fetched with only
+  // some fields (see `fields`) wouldn't match the ones of whole records
+  docVersion (doc) {
+    if (!doc) return null
+    if (this.versionField) {
+      var version = doc[ this.versionField ]
+      return String(typeof version === 'undefined' || version === null ? 0 : version)
+    }
+
+    var sorted = {}
+    Object.keys(doc).sort().forEach((k) => { sorted[ k ] = doc[ k ] })
+    return crypto.createHash('sha1').update(JSON.stringify(sorted)).digest('hex')
+  }
+
+  // If request.options.ifMatch is set (a version, or an array of versions),
+  // request.doc must be there and have one of those versions
+  _checkIfMatch (request) {
+    var ifMatch = request.options.ifMatch
+    if (typeof ifMatch === 'undefined' || ifMatch === null) return
+    if (!Array.isArray(ifMatch)) ifMatch = [ ifMatch ]
+
+    if (!request.doc || ifMatch.map(String).indexOf(this.docVersion(request.doc)) === -1) {
+      throw new Store.PreconditionFailedError()
+    }
+  }
+
+  // Set the version field in the body, so that the record
+  // written will have the next version
+  _bumpVersion (request) {
+    if (!this.versionField) return
+    request.body[ this.versionField ] = (request.doc ? Number(request.doc[ this.versionField ]) || 0 : 0) + 1
+  }
+
   _lastParamId () {
     return this.paramIds[ this.paramIds.length - 1 ]
   }
@@ -304,8 +508,9 @@ var Store = class {
     })
 
     // If it's a remote request, check that _all_ paramIds are in params
-    // (Local API requests can avoid passing paramIds)
-    if (request.remote) {
+    // (Local API requests can avoid passing paramIds, and so can queries loading
+    // records included by another store, which are restricted by their includeFilter)
+    if (request.remote && !request.includedBy) {
       self.paramIds.forEach(function (k) {
         // "continue" if id property is to be skipped
         if (skipIdProperty && k === self.idProperty) return
@@ -330,6 +535,269 @@ var Store = class {
     if (errors.length) throw new Store.BadRequestError({ errors: errors })
 
     request.params = validatedObject
+
+    // Make sure that the parent records exist (and are accessible)
+    await self._checkParentStores(request)
+  }
+
+  // For every paramId declared in `parentStores`, fetch the parent record
+  // using the parent store. If it's not there, it's a 404. For remote requests,
+  // the parent store's checkPermissions() is also run, so that permissions
+  // cascade down nested URLs.
+  // Parent records are placed in request.parentDocs, keyed by paramId
+  async _checkParentStores (request) {
+    request.parentDocs = request.parentDocs || {}
+
+    for (var paramId in this.parentStores) {
+      // Local requests can avoid passing paramIds
+      if (typeof request.params[ paramId ] === 'undefined') continue
+
+      var parentStore = Store.getStore(this.parentStores[ paramId ])
+      if (!parentStore) throw new Error('Parent store not found: ' + this.parentStores[ paramId ] + ' (paramId ' + paramId + ' in store ' + this.storeName + ')')
+
+      // Make up the request for the parent store. Its params will be
+      // the ones it shares with this store, plus its own idProperty
+      var parentRequest = {
+        remote: request.remote,
+        protocol: request.protocol,
+        session: request.session,
+        transaction: request.transaction,
+        options: {},
+        body: {},
+        params: {}
+      }
+      parentStore.paramIds.forEach((k) => {
+        if (typeof request.params[ k ] !== 'undefined') parentRequest.params[ k ] = request.params[ k ]
+      })
+      parentRequest.params[ parentStore.idProperty ] = request.params[ paramId ]
+
+      // The parent might have parents too
+      await parentStore._checkParentStores(parentRequest)
+
+      parentRequest.doc = await parentStore.implementFetch(parentRequest, 'get') || null
+      if (!parentRequest.doc || parentStore._isTrashed(parentRequest.doc)) throw new Store.NotFoundError()
+
+      if (request.remote) {
+        var { granted, message } = await parentStore.checkPermissions(parentRequest, 'get')
+        if (!granted) throw new Store.ForbiddenError(message)
+      }
+
+      request.parentDocs[ paramId ] = parentRequest.doc
+    }
+  }
+
+  // Once a record is fetched, make sure that it actually belongs to
+  // the parent records specified in request.params. The comparison is
+  // a soft `!=`, since the DB might return ids with a different type
+  _checkDocBelongsToParents (request) {
+    if (!request.doc) return
+
+    for (var paramId in this.parentStores) {
+      if (typeof request.params[ paramId ] === 'undefined' || typeof request.doc[ paramId ] === 'undefined') continue
+      if (request.doc[ paramId ] != request.params[ paramId ]) throw new Store.NotFoundError()
+    }
+  }
+
+  // The IP address of the client that made the request: `req.ip` (set by
+  // Express), or the address of the connection (e.g. for WebSockets)
+  _clientIp (request) {
+    var req = request._req
+    if (!req) return null
+    return req.ip || (req.socket && req.socket.remoteAddress) || null
+  }
+
+  // Who a rate limit applies to: `user` (the session's user), `session` (the
+  // session's id), `ip` (the client's IP address), or a function returning a key.
+  // Anonymous requests are counted by IP address for `user`, so that logging out
+  // doesn't lift the limit. Requests without a key (e.g. local ones for `ip`) are not limited
+  _rateLimitKey (request, by) {
+    var key
+    if (typeof by === 'function') key = by(request)
+    else if (by === 'session') key = request.session ? request.session.id : null
+    else if (by === 'ip') key = this._clientIp(request)
+    else if (by === 'user') {
+      var user = this.sessionUser(request)
+      var ip = this._clientIp(request)
+      if (user !== null && typeof user !== 'undefined') key = 'user:' + user
+      else if (ip !== null) key = 'ip:' + ip
+    }
+    return key === null || typeof key === 'undefined' ? null : String(key)
+  }
+
+  // Count the request for each of the store's `rateLimits` that apply to
+  // `method`, each one being `{ methods, max, window, by }`: at most `max`
+  // requests every `window` milliseconds. If a limit is exceeded, a
+  // TooManyRequestsError is thrown, with `retryAfter` (in seconds).
+  // request.rateLimit is set to the state of the closest limit to being exceeded
+  async _checkRateLimits (request, method) {
+    if (!this.rateLimits.length || (!request.remote && !this.rateLimitLocal)) return
+
+    for (var i = 0; i < this.rateLimits.length; i++) {
+      var limit = this.rateLimits[ i ]
+      if (limit.methods && limit.methods.indexOf(method) === -1) continue
+
+      var key = this._rateLimitKey(request, limit.by || 'user')
+      if (key === null) continue
+
+      var { count, reset } = await this.rateLimitCounter.hit(this.storeName + ':' + i + ':' + key, limit.window)
+      var state = {
+        limit: limit.max,
+        remaining: Math.max(0, limit.max - count),
+        reset: Math.max(0, Math.ceil((reset - Date.now()) / 1000))
+      }
+      if (!request.rateLimit || state.remaining < request.rateLimit.remaining) request.rateLimit = state
+
+      if (count > limit.max) {
+        request.rateLimit = state
+        throw new Store.TooManyRequestsError({ retryAfter: state.reset, rateLimit: state })
+      }
+    }
+  }
+
+  // The `permissions` of the store's class and of the classes it inherits
+  // from, starting from the most generic one
+  _collectPermissions () {
+    var r = []
+    for (var C = this.constructor; C && C !== Function.prototype; C = Object.getPrototypeOf(C)) {
+      var descriptor = Object.getOwnPropertyDescriptor(C, 'permissions')
+      var permissions = descriptor && (descriptor.get ? descriptor.get.call(C) : descriptor.value)
+      if (permissions) r.unshift(permissions)
+    }
+    return r
+  }
+
+  // Check a rule's conditions that don't depend on the record: roles,
+  // paramIds and `when`
+  async _ruleApplies (rule, request) {
+    if (rule.roles) {
+      var roles = this.sessionRoles(request)
+      if (!rule.roles.some((role) => roles.indexOf(role) !== -1)) return false
+    }
+    for (var paramId in rule.params || {}) {
+      if (!await rule.params[ paramId ](request.params[ paramId ], request)) return false
+    }
+    if (rule.when && !await rule.when(request)) return false
+    return true
+  }
+
+  // Apply a list of rules: permission is granted if any rule is satisfied.
+  // For queries, `owner` rules can't be checked against a record: they
+  // become conditions, returned in `conditions`
+  async _applyPermissionRules (rules, request, isQuery) {
+    var user = this.sessionUser(request)
+    var record = request.doc || request.body || {}
+    var conditions = []
+
+    for (var rule of rules) {
+      if (!await this._ruleApplies(rule, request)) continue
+      if (!rule.owner) return { granted: true }
+      if (user === null) continue
+
+      if (isQuery) conditions.push({ field: rule.owner, operator: 'eq', value: user })
+      else if (record[ rule.owner ] == user) return { granted: true }
+    }
+
+    if (conditions.length) return { granted: true, conditions }
+
+    var denied = rules.find((rule) => rule.message)
+    return { granted: false, message: denied ? denied.message : undefined }
+  }
+
+  // Check the rules in `permissions` for `method`. For `put`, the rules for
+  // `putNew` or `putExisting` are also checked. The rules of inherited
+  // classes must be satisfied too. For queries, owner conditions are added
+  // to request.options.filter, so that only the user's records are returned
+  async _checkPermissionRules (request, method) {
+    var isQuery = method === 'getQuery' || method === 'getTrash'
+    var methods = [ method ]
+    if (method === 'put') methods.push(request.putNew ? 'putNew' : 'putExisting')
+
+    var filters = []
+    for (var permissions of this._permissions) {
+      for (var m of methods) {
+        if (!Array.isArray(permissions[ m ])) continue
+
+        var { granted, message, conditions } = await this._applyPermissionRules(permissions[ m ], request, isQuery)
+        if (!granted) return { granted, message }
+        if (conditions) filters.push(conditions.length === 1 ? conditions[ 0 ] : { or: conditions })
+      }
+    }
+
+    if (filters.length) {
+      if (request.options.filter) filters.unshift(request.options.filter)
+      request.options.filter = filters.length === 1 ? filters[ 0 ] : { and: filters }
+    }
+    return { granted: true }
+  }
+
+  // Whether the request's session can read (`readRoles`) or write (`writeRoles`)
+  // a field, depending on the field's definition in the schema
+  _fieldAllowed (request, field, rolesKey) {
+    var definition = this.schema.structure[ field ]
+    if (!definition || !Array.isArray(definition[ rolesKey ])) return true
+
+    var roles = this.sessionRoles(request)
+    return definition[ rolesKey ].some((role) => roles.indexOf(role) !== -1)
+  }
+
+  // A copy of `doc` without the fields the session can't read
+  _removeUnreadableFields (request, doc) {
+    if (!doc) return doc
+
+    var r = {}
+    for (var k in doc) {
+      if (this._fieldAllowed(request, k, 'readRoles')) r[ k ] = doc[ k ]
+    }
+    return r
+  }
+
+  // Make sure that the fields written by the client are allowed by `writeRoles`
+  // and `writeOnce`. A field is written if it was in the body, and it's
+  // different to the record's (as sent, or once validated: for patches, the body
+  // is the whole patched record, and validation may cast the fields left alone).
+  // Values the client didn't send (e.g. defaults set by validation) don't
+  // overwrite the ones of an existing record
+  _checkWritableFields (request) {
+    var sent = request.bodyBeforeValidation || {}
+    var errors = []
+    var same = (a, b) => a == b || JSON.stringify(a) === JSON.stringify(b)
+
+    for (var k in this.schema.structure) {
+      var definition = this.schema.structure[ k ]
+      if (!definition.writeRoles && !definition.writeOnce) continue
+
+      if (typeof sent[ k ] === 'undefined') {
+        if (request.doc) delete request.body[ k ]
+        continue
+      }
+      if (request.doc && (same(request.body[ k ], request.doc[ k ]) || same(sent[ k ], request.doc[ k ]))) continue
+
+      if (!this._fieldAllowed(request, k, 'writeRoles')) errors.push({ field: k, message: 'Field not writable' })
+      else if (definition.writeOnce && request.doc) errors.push({ field: k, message: 'Field can only be set when the record is created' })
+    }
+    if (errors.length) throw new Store.UnprocessableEntityError({ errors: errors })
+  }
+
+  // In soft-delete mode, a record is in the trash if deletedAtField is set
+  _isTrashed (doc) {
+    return !!this.softDelete && !!doc && doc[ this.deletedAtField ] !== null && typeof doc[ this.deletedAtField ] !== 'undefined'
+  }
+
+  // In soft-delete mode, add a condition to request.options.filter so that
+  // queries only return records out of the trash (or, if
+  // request.options.trashed is set, only the ones in the trash)
+  _filterTrashed (request) {
+    if (!this.softDelete) return
+    var condition = { field: this.deletedAtField, operator: 'isNull', value: !request.options.trashed }
+    request.options.filter = request.options.filter ? { and: [ request.options.filter, condition ] } : condition
+  }
+
+  // In soft-delete mode, the deletion fields can only be changed
+  // by deleting and restoring records, not by remote writes
+  _removeSoftDeleteFieldsIfRemote (request) {
+    if (!this.softDelete || !request.remote) return
+    delete request.body[ this.deletedAtField ]
+    if (this.deletedByField) delete request.body[ this.deletedByField ]
   }
 
   _enrichBodyWithParamIdsIfRemote (request) {
@@ -344,7 +812,16 @@ var Store = class {
     }
   }
 
+  // Writes are run in a transaction (see `transaction()`), and emit a change event
   async _makePost (request) {
+    return this.transaction(request, async () => {
+      var doc = await this._runPost(request)
+      this._emitChange(request, 'post', 'inserted', request.storedDoc)
+      return doc
+    })
+  }
+
+  async _runPost (request) {
     var self = this
 
     // Default request.doc to null; it will only have a real value
@@ -354,6 +831,9 @@ var Store = class {
     // Check that the method is implemented
     if (!self.handlePost && request.remote) throw new Store.NotImplementedError()
 
+    // Count the request, and throw if it's over the rate limits
+    await self._checkRateLimits(request, 'post')
+
     // Check the IDs
     await self.beforeCheckParamIds(request, 'post')
     await self._checkParamIds(request, true)
@@ -361,6 +841,7 @@ var Store = class {
 
     // Add paramIds to body
     self._enrichBodyWithParamIdsIfRemote(request)
+    self._removeSoftDeleteFieldsIfRemote(request)
 
     // Run validation, throw an error if it fails
     await self.beforeValidate(request, 'post')
@@ -376,28 +857,54 @@ var Store = class {
       var { granted, message } = await self.checkPermissions(request, 'post')
       if (!granted) throw new Store.ForbiddenError(message)
       await self.afterCheckPermissions(request, 'post')
+
+      // Field-level permissions
+      self._checkWritableFields(request)
     }
 
     await self.beforeDbOperationWrite(request, 'post')
 
     // Execute actual DB operation
+    self._bumpVersion(request)
     await self.beforeDbOperationInsert(request, 'post')
     request.doc = await self.implementInsert(request, 'post') || null
+    request.docVersion = self.docVersion(request.doc)
     await self.afterDbOperationInsert(request, 'post')
 
     // Run the generic "afterDbOperationWrite" hook
     await self.afterDbOperationWrite(request, 'post')
 
-    // Send over to the client
+    // Send over to the client. Change events get the stored record, whatever the client can read
+    request.storedDoc = request.doc
+    if (request.remote) request.doc = self._removeUnreadableFields(request, request.doc)
     await self.beforeReturn(request, 'post')
     return request.doc
   }
 
+  // Writes are run in a transaction (see `transaction()`), and emit a change event
   async _makePut (request) {
+    return this.transaction(request, async () => {
+      var doc = await this._runPut(request)
+      this._emitChange(request, 'put', request.putNew ? 'inserted' : 'updated', request.storedDoc)
+      return doc
+    })
+  }
+
+  async _runPut (request) {
     var self = this
 
-    // Check that the method is implemented
-    if (!self.handlePut && !request.options.field && request.remote) throw new Store.NotImplementedError()
+    // Note that a patch can well be falsy (e.g. `null`): it's a patch as long as it's set
+    var isPatch = typeof request.options.patch !== 'undefined'
+
+    // Check that the method is implemented. Patches are allowed by handlePatch
+    if (isPatch) {
+      if (!self.handlePatch && request.remote) throw new Store.NotImplementedError()
+    } else {
+      if (!self.handlePut && !request.options.field && request.remote) throw new Store.NotImplementedError()
+    }
+
+    // Count the request, and throw if it's over the rate limits
+    await self._checkRateLimits(request, 'put')
 
     // Default request.doc to null; it will only have a real value once
     // a record is loaded (if it is)
@@ -408,24 +915,31 @@ var Store = class {
     await self._checkParamIds(request)
     await self.afterCheckParamIds(request, 'put')
 
+    // Patches are applied to the existing record, which needs
+    // to be fetched before validation
+    if (isPatch) {
+      await self._fetchForPut(request)
+      if (!request.doc) throw new Store.NotFoundError()
+      request.body = self._applyPatch(request)
+    }
+
     // Add paramIds to body
     self._enrichBodyWithParamIdsIfRemote(request)
+    self._removeSoftDeleteFieldsIfRemote(request)
 
     // Run validation, throw an error if it fails
     await self.beforeValidate(request, 'put')
     var { validatedObject, errors } = await self.schema.validate(request.body, {
       emptyAsNull: self.emptyAsNull,
-      onlyObjectValues: request.options.field || request.options.partial || self.partial
+      onlyObjectValues: request.options.field || request.options.partial || isPatch || self.partial
     })
     request.bodyBeforeValidation = request.body
     request.body = validatedObject
     if (errors.length) throw new Store.UnprocessableEntityError({ errors: errors })
     await self.afterValidate(request, 'put')
 
-    // Fetch the record
-    await self.beforeDbOperationFetchOne(request, 'put')
-    request.doc = await self.implementFetch(request, 'put') || null
-    await self.afterDbOperationFetchOne(request, 'put')
+    // Fetch the record (unless it was already fetched to apply a patch)
+    if (!isPatch) await self._fetchForPut(request)
 
     request.putNew = !request.doc
     request.putExisting = !!request.doc
@@ -439,17 +953,28 @@ var Store = class {
       await self.afterCheckPermissions(request, 'put')
     }
 
+    // A patch that couldn't be applied is only reported once permissions are
+    // granted, so that patches (e.g. their `test` operations) can't probe records
+    if (request.patchError) throw request.patchError
+
+    // Field-level permissions
+    if (request.remote) self._checkWritableFields(request)
+
     // Check the 'overwrite' option, throw if fail
     if (typeof request.options.overwrite !== 'undefined') {
       if (request.doc && !request.options.overwrite) {
-        throw new self.PreconditionFailedError()
+        throw new Store.PreconditionFailedError()
       } else if (!request.doc && request.options.overwrite) {
-        throw new self.PreconditionFailedError()
+        throw new Store.PreconditionFailedError()
       }
     }
 
+    // Check the 'ifMatch' option, throw if the record changed
+    self._checkIfMatch(request)
+
     // Run the generic "beforeDbOperationWrite" hook
     await self.beforeDbOperationWrite(request, 'put')
+    self._bumpVersion(request)
 
     if (request.putNew) {
       //
@@ -463,22 +988,102 @@ var Store = class {
       // Execute actual DB operation
       await self.beforeDbOperationInsert(request, 'put')
       request.doc = await self.implementInsert(request, 'put') || null
+      request.docVersion = self.docVersion(request.doc)
       await self.afterDbOperationInsert(request, 'put')
     } else {
       // Execute actual DB operation
       await self.beforeDbOperationUpdate(request, 'put')
       request.doc = await self.implementUpdate(request, 'put') || null
+      request.docVersion = self.docVersion(request.doc)
       await self.afterDbOperationUpdate(request, 'put')
     }
 
     // Run the generic "afterDbOperationWrite" hook
     await self.afterDbOperationWrite(request, 'put')
 
-    // Send over to the client
+    // Send over to the client. Change events get the stored record, whatever the client can read
+    request.storedDoc = request.doc
+    if (request.remote) request.doc = self._removeUnreadableFields(request, request.doc)
     await self.beforeReturn(request, 'put')
     return request.doc
   }
 
+  // Fetch the record a put refers to, and make sure it belongs
+  // to its parent records
+  async _fetchForPut (request) {
+    await this.beforeDbOperationFetchOne(request, 'put')
+    request.doc = await this.implementFetch(request, 'put') || null
+    await this.afterDbOperationFetchOne(request, 'put')
+
+    // Records in the trash need to be restored before they can be changed
+    if (this._isTrashed(request.doc)) throw new Store.ConflictError('The record is in the trash')
+
+    this._checkDocBelongsToParents(request)
+  }
+
+  // Apply request.options.patch to request.doc, and return the resulting body.
+  // request.options.patchType can be `merge` (JSON Merge Patch, RFC 7386, the default)
+  // or `json` (JSON Patch, RFC 6902).
+  // Only schema fields are considered. Fields removed by the patch are set to null, and
+  // paramIds are always taken from request.params, so that a patch can't move a record.
+  // For remote requests, the patch only sees the fields the session can read, and JSON
+  // Patch operations can't point to the others.
+  // If the patch can't be applied, the error is set as request.patchError (to be thrown
+  // once permissions are checked) and the record is returned unchanged
+  _applyPatch (request) {
+    var doc = {}
+    var patched
+    var k
+
+    for (k in request.doc) {
+      if (typeof this.schema.structure[ k ] === 'undefined') continue
+      if (request.remote && !this._fieldAllowed(request, k, 'readRoles')) continue
+      doc[ k ] = request.doc[ k ]
+    }
+
+    try {
+      if (request.options.patchType === 'json') {
+        if (request.remote) this._checkPatchPointers(request, request.options.patch)
+        patched = applyJsonPatch(doc, request.options.patch)
+      } else patched = applyMergePatch(doc, request.options.patch)
+    } catch (error) {
+      if (!(error instanceof PatchError)) throw error
+      request.patchError = error.failedTest ? new Store.ConflictError(error.message) : new Store.UnprocessableEntityError(error.message)
+      patched = doc
+    }
+
+    if (typeof patched !== 'object' || patched === null || Array.isArray(patched)) {
+      request.patchError = request.patchError || new Store.UnprocessableEntityError('The patched record must be an object')
+      patched = doc
+    }
+
+    for (k in doc) {
+      if (typeof patched[ k ] === 'undefined') patched[ k ] = null
+    }
+    this.paramIds.forEach((paramId) => {
+      if (typeof request.params[ paramId ] !== 'undefined') patched[ paramId ] = request.params[ paramId ]
+    })
+
+    return patched
+  }
+
+  // Make sure that the operations of a JSON Patch don't point to fields
+  // the session can't read
+  _checkPatchPointers (request, patch) {
+    if (!Array.isArray(patch)) return
+
+    patch.forEach((operation) => {
+      if (typeof operation !== 'object' || operation === null) return
+      [ operation.path, operation.from ].forEach((pointer) => {
+        if (typeof pointer !== 'string') return
+        var field = parsePointer(pointer)[ 0 ]
+        if (typeof field !== 'undefined' && !this._fieldAllowed(request, field, 'readRoles')) {
+          throw new PatchError('Field not readable: ' + field)
+        }
+      })
+    })
+  }
+
   async _makeGet (request) {
     var self = this
 
@@ -488,18 +1093,32 @@ var Store = class {
     // Check that the method is implemented
     if (!self.handleGet && request.remote) throw new Store.NotImplementedError()
 
+    // Count the request, and throw if it's over the rate limits
+    await self._checkRateLimits(request, 'get')
+
     // Check the IDs
     await self.beforeCheckParamIds(request, 'get')
     await self._checkParamIds(request, true)
     await self.afterCheckParamIds(request, 'get')
 
-    // Execute actual DB operation
+    // Work out which relations will be included, and which fields will be fetched
+    self._validateIncludes(request)
+    self._validateFields(request)
+
+    // Execute actual DB operation. The whole record is fetched, so that
+    // checkPermissions() and docVersion() see all of its fields; only the
+    // requested fields are picked once permissions are checked
+    var fields = request.options.fields
+    request.options.fields = undefined
     await self.beforeDbOperationFetchOne(request, 'get')
     request.doc = await self.implementFetch(request, 'get') || null
+    request.docVersion = self.docVersion(request.doc)
     await self.afterDbOperationFetchOne(request, 'get')
+    request.options.fields = fields
 
-    // Record not there: not found error!
-    if (!request.doc) throw new Store.NotFoundError()
+    // Record not there (or in the trash), or not belonging to its parents: not found error!
+    if (!request.doc || self._isTrashed(request.doc)) throw new Store.NotFoundError()
+    self._checkDocBelongsToParents(request)
 
     // Check permissions
     if (request.remote) {
@@ -510,18 +1129,500 @@ var Store = class {
     }
 
     // Send over to the client
+    request.doc = self._pickFields(request, request.doc)
+    await self._includeRelated(request, [ request.doc ])
+    if (request.remote) request.doc = self._removeUnreadableFields(request, request.doc)
     await self.beforeReturn(request, 'get')
     return request.doc
   }
 
+  // If request.options.fields is set (as an array or a comma-separated string),
+  // check that every field is in the schema and not silent, and turn it into
+  // the full list of fields to be fetched: the ones requested, plus idProperty,
+  // paramIds, alwaysReturnedFields, versionField, updatedAtField and deletedAtField
+  _validateFields (request) {
+    var self = this
+    var fields = request.options.fields
+    var errors = []
+
+    if (typeof fields === 'undefined' || fields === null) return
+    if (!Array.isArray(fields)) fields = String(fields).split(',')
+    fields = fields.map((field) => String(field).trim()).filter((field) => field !== '')
+
+    fields.forEach((field) => {
+      var definition = self.schema.structure[ field ]
+      if (!definition || definition.silent) errors.push({ field: 'fields', message: 'Unknown field: ' + field })
+    })
+    if (errors.length) throw new Store.BadRequestError({ errors: errors })
+
+    var r = [ self.idProperty ].concat(self.paramIds, self.alwaysReturnedFields, fields)
+    if (self.versionField) r.push(self.versionField)
+
+    // Fields needed to include related records
+    var relations = self._relations()
+    ;(request.options.include || []).forEach((name) => {
+      if (!relations[ name ].many) r.push(relations[ name ].field)
+    })
+
+    if (self.updatedAtField) r.push(self.updatedAtField)
+    if (self.softDelete) r.push(self.deletedAtField)
+
+    // Cursors are made up of the values of the sort fields
+    if (self.cursorPagination) r = r.concat(Object.keys(request.options.sort || self.defaultSort || {}))
+
+    request.options.fields = r.filter((field, i) => r.indexOf(field) === i)
+  }
+
+  // Only keep the fields in request.options.fields (if set). This ensures that
+  // only the requested fields are returned, whatever the backend fetched
+  _pickFields (request, doc) {
+    var fields = request.options.fields
+    if (!Array.isArray(fields) || !doc) return doc
+
+    var r = {}
+    fields.forEach((field) => {
+      if (typeof doc[ field ] !== 'undefined') r[ field ] = doc[ field ]
+    })
+    return r
+  }
+
+  // Make sure that the sort fields chosen by the client (the store's
+  // defaultSort is always allowed) can be read by the session
+  _checkReadableSort (request) {
+    var sort = request.options.sort
+    if (typeof sort !== 'object' || sort === null || sort === this.defaultSort) return
+
+    var errors = Object.keys(sort)
+      .filter((field) => !this._fieldAllowed(request, field, 'readRoles'))
+      .map((field) => ({ field: 'sort', message: 'Field not allowed: ' + field }))
+    if (errors.length) throw new Store.BadRequestError({ errors: errors })
+  }
+
+  // Get a query ready for cursor pagination. The idProperty is added to the
+  // sort, so that the order is always the same; one more record than needed
+  // is fetched, to know whether there is a next page. The cursor (if passed)
+  // is decoded into request.options.keyset, which is what the backend uses:
+  // `{ values, direction }`, where `values` has the values of the sort fields
+  // and `direction` is `next` or `prev`. Values are validated (and cast) with the
+  // fields' definitions in searchSchema (or schema); null values are kept as they
+  // are, and so are idProperty's values (if it's not in the schema)
+  async _prepareCursor (request) {
+    var self = this
+
+    var sort = Object.assign({}, request.options.sort || self.defaultSort || {})
+    if (typeof sort[ self.idProperty ] === 'undefined') sort[ self.idProperty ] = 1
+    request.options.sort = sort
+
+    var limit = (request.options.ranges && request.options.ranges.limit) || self.defaultLimitOnQueries
+    request.options.cursorLimit = limit
+    request.options.ranges = { skip: 0, limit: limit + 1 }
+
+    if (!self.cursorGrandTotal) request.options.skipGrandTotal = true
+
+    var cursor = request.options.cursor
+    if (typeof cursor === 'undefined' || cursor === null || cursor === '') return
+
+    var decoded
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'))
+    } catch (e) {
+      decoded = null
+    }
+
+    var fields = Object.keys(sort)
+    var invalid = () => new Store.BadRequestError({ errors: [ { field: 'cursor', message: 'Invalid cursor' } ] })
+    if (!decoded || typeof decoded !== 'object' ||
+        (decoded.d !== 'next' && decoded.d !== 'prev') ||
+        !Array.isArray(decoded.s) || decoded.s.join(',') !== fields.join(',') ||
+        !Array.isArray(decoded.v) || decoded.v.length !== fields.length) {
+      throw invalid()
+    }
+
+    var values = {}
+    for (var i = 0; i < fields.length; i++) {
+      var field = fields[ i ]
+      var value = decoded.v[ i ]
+      var schema = self.searchSchema.structure[ field ] ? self.searchSchema : self.schema
+
+      if (value === null) {
+        values[ field ] = null
+        continue
+      }
+      if (typeof value === 'object') throw invalid()
+      if (!schema.structure[ field ]) {
+        if (field !== self.idProperty) throw invalid()
+        values[ field ] = value
+        continue
+      }
+
+      var { validatedObject, errors } = await schema.validate({ [ field ]: value }, { onlyObjectValues: true })
+      if (errors.length) throw invalid()
+      values[ field ] = validatedObject[ field ]
+    }
+    request.options.keyset = { values, direction: decoded.d }
+  }
+
+  _makeCursor (request, values, direction) {
+    var fields = Object.keys(request.options.sort)
+    var cursor = { s: fields, v: fields.map((field) => typeof values[ field ] === 'undefined' ? null : values[ field ]), d: direction }
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url')
+  }
+
+  // Trim the extra record fetched by the backend, and work out the cursors
+  // to the next and previous pages (null if there is no such page).
+  // When going backwards, the backend returns records in reverse order
+  _setCursors (request) {
+    var self = this
+    var keyset = request.options.keyset
+    var limit = request.options.cursorLimit
+    var backwards = !!keyset && keyset.direction === 'prev'
+    var more = request.docs.length > limit
+
+    request.docs = request.docs.slice(0, limit)
+    if (backwards) request.docs.reverse()
+
+    var first = request.docs.length ? request.docs[ 0 ] : keyset && keyset.values
+    var last = request.docs.length ? request.docs[ request.docs.length - 1 ] : keyset && keyset.values
+
+    request.nextCursor = (backwards || more) && last ? self._makeCursor(request, last, 'next') : null
+    request.prevCursor = keyset && (!backwards || more) && first ? self._makeCursor(request, first, 'prev') : null
+  }
+
+  // Works out the relations that can be included, by name. They are:
+  // * fields in this store's schema with `references` set to a store name. The
+  //   related record is included as `as` or, by default, as the field's name
+  //   without its `Id` (or `_id`) suffix
+  // * fields in other stores' schemas with `references` set to this store,
+  //   and `reverseAs` set. The list of related records is included as `reverseAs`
+  // Names of fields in this store's schema are never relations, since
+  // including them would overwrite the fields
+  _relations () {
+    var r = {}
+    var structure = this.schema.structure
+    var definition
+    var name
+    var k
+
+    for (k in structure) {
+      definition = structure[ k ]
+      if (!definition.references) continue
+
+      name = definition.as || k.replace(/_?Id$/, '')
+      if (name && typeof structure[ name ] === 'undefined') r[ name ] = { many: false, field: k, storeName: definition.references }
+    }
+
+    var stores = Store.getAllStores()
+    for (var storeName in stores) {
+      var otherStructure = stores[ storeName ].schema.structure
+      for (k in otherStructure) {
+        definition = otherStructure[ k ]
+        if (definition.references === this.storeName && definition.reverseAs && typeof structure[ definition.reverseAs ] === 'undefined') {
+          r[ definition.reverseAs ] = { many: true, field: k, storeName }
+        }
+      }
+    }
+    return r
+  }
+
+  // If request.options.include is set (as an array or a comma-separated string),
+  // check that every name is a relation, and turn it into an array. For remote
+  // requests, the related store must handle `get` (or `getQuery` for lists)
+  _validateIncludes (request) {
+    var include = request.options.include
+    var errors = []
+
+    if (typeof include === 'undefined' || include === null) return
+    if (!Array.isArray(include)) include = String(include).split(',')
+    include = include.map((name) => String(name).trim()).filter((name) => name !== '')
+
+    var relations = this._relations()
+    include.forEach((name) => {
+      var relation = relations[ name ]
+      var target = relation && Store.getStore(relation.storeName)
+
+      if (!target) {
+        errors.push({ field: 'include', message: 'Unknown relation: ' + name })
+      } else if (request.remote && !(relation.many ? target.handleGetQuery : target.handleGet)) {
+        errors.push({ field: 'include', message: 'Relation cannot be included: ' + name })
+      }
+    })
+    if (errors.length) throw new Store.BadRequestError({ errors: errors })
+
+    request.options.include = include
+  }
+
+  // Make up the getQuery request used to load related records from `target`,
+  // where `field` is one of `values`. `includedBy` marks it as part of `request`,
+  // and `includeFilter` is added to the query's filter once it's validated
+  _makeIncludeRequest (request, target, field, values, limit) {
+    return {
+      remote: request.remote,
+      protocol: request.protocol,
+      session: request.session,
+      transaction: request.transaction,
+      includedBy: request,
+      includeFilter: { field, operator: 'in', value: values },
+      params: {},
+      body: {},
+      options: {
+        conditionsHash: {},
+        ranges: { skip: 0, limit },
+        sort: target.defaultSort || {},
+        skipGrandTotal: true
+      },
+      _req: request._req
+    }
+  }
+
+  // Load the relations listed in request.options.include, and place them in each
+  // record of `docs`. Records are loaded in one query per relation, through the
+  // related store's getQuery pipeline: so, for remote requests, its permissions
+  // are checked with `getQuery`, its hooks are run, and fields the session can't
+  // read are left out. Single related records are also checked with `get`:
+  // records for which permission isn't granted (with `get` or `getQuery`) are
+  // included as null. For lists, a ForbiddenError is thrown if permission isn't granted.
+  // Lists have up to includeLimit records each: if the query for all of them
+  // returns more than includeLimit records per record in `docs`, some lists
+  // might be incomplete, and they are loaded again one record at a time
+  async _includeRelated (request, docs) {
+    var self = this
+    var include = request.options.include
+
+    if (!Array.isArray(include) || !include.length) return
+
+    var relations = self._relations()
+    docs = docs.filter((doc) => doc)
+
+    // Load the records of `target` where `field` is one of `values`, up to `limit`
+    var load = async (target, field, values, limit) => {
+      return target._makeGetQuery(self._makeIncludeRequest(request, target, field, values, limit))
+    }
+
+    for (var name of include) {
+      var relation = relations[ name ]
+      var target = Store.getStore(relation.storeName)
+      var values = []
+      var includeRequest
+      var granted
+
+      if (!relation.many) {
+        docs.forEach((doc) => {
+          var v = doc[ relation.field ]
+          if (v !== null && typeof v !== 'undefined' && values.indexOf(v) === -1) values.push(v)
+        })
+
+        var byId = {}
+        if (values.length) {
+          var data
+          try {
+            data = await load(target, target.idProperty, values, values.length)
+          } catch (error) {
+            if (Number(error.status) !== 403) throw error
+            data = []
+          }
+
+          for (var related of data) {
+            if (request.remote) {
+              includeRequest = { remote: true, protocol: request.protocol, session: request.session, transaction: request.transaction, params: {}, body: {}, options: {}, doc: related }
+              ;({ granted } = await target.checkPermissions(includeRequest, 'get'))
+              if (!granted) continue
+            }
+            byId[ String(related[ target.idProperty ]) ] = related
+          }
+        }
+        docs.forEach((doc) => {
+          var v = doc[ relation.field ]
+          doc[ name ] = v === null || typeof v === 'undefined' ? null : byId[ String(v) ] || null
+        })
+      } else {
+        docs.forEach((doc) => {
+          var v = doc[ self.idProperty ]
+          if (values.indexOf(v) === -1) values.push(v)
+        })
+
+        var list = []
+        if (values.length) {
+          var limit = self.includeLimit * values.length
+          list = await load(target, relation.field, values, limit + 1)
+          if (list.length > limit) {
+            list = []
+            for (var value of values) list = list.concat(await load(target, relation.field, [ value ], self.includeLimit))
+          }
+        }
+        docs.forEach((doc) => {
+          doc[ name ] = list.filter((related) => String(related[ relation.field ]) === String(doc[ self.idProperty ])).slice(0, self.includeLimit)
+        })
+      }
+    }
+  }
+
+  // Operator objects are plain objects, e.g. `{ gte: 10, lt: 20 }`
+  _isOperatorObject (v) {
+    return typeof v === 'object' && v !== null && !Array.isArray(v) && !(v instanceof Date)
+  }
+
+  // Validate a filter expression, and turn it into a tree where nodes are
+  // `{ and: [ ...nodes ] }`, `{ or: [ ...nodes ] }`, `{ not: node }`, and leaves
+  // are `{ field, operator, value }`. In the original expression, leaves are objects
+  // in conditionsHash format (where several fields are ANDed), validated with
+  // _validateConditions(). Depth and number of conditions are limited by
+  // filterMaxDepth and filterMaxConditions
+  async _validateFilter (filter, request) {
+    var self = this
+    var errors = []
+    var conditions = 0
+    var logical = [ 'and', 'or', 'not' ]
+
+    var walk = async (node, depth) => {
+      if (depth > self.filterMaxDepth) {
+        errors.push({ field: 'filter', message: 'Filter is too deep' })
+        return null
+      }
+      if (!self._isOperatorObject(node) || !Object.keys(node).length) {
+        errors.push({ field: 'filter', message: 'Every filter node must be a non-empty object' })
+        return null
+      }
+
+      var keys = Object.keys(node)
+      var k = keys[0]
+
+      // Logical nodes
+      if (keys.some((key) => logical.indexOf(key) !== -1)) {
+        if (keys.length !== 1) {
+          errors.push({ field: 'filter', message: 'and, or and not must be the only attribute of their object' })
+          return null
+        }
+        if (k === 'not') return { not: await walk(node.not, depth + 1) }
+
+        if (!Array.isArray(node[ k ]) || !node[ k ].length) {
+          errors.push({ field: 'filter', message: k + ' needs a non-empty array' })
+          return null
+        }
+        var children = []
+        for (var child of node[ k ]) children.push(await walk(child, depth + 1))
+        return { [ k ]: children }
+      }
+
+      // Conditions
+      var { validatedObject, errors: conditionErrors } = await self._validateConditions(node, request)
+      errors = errors.concat(conditionErrors)
+
+      var leaves = []
+      for (var field in validatedObject) {
+        var v = validatedObject[ field ]
+        if (self._isOperatorObject(v)) {
+          for (var operator in v) leaves.push({ field, operator, value: v[ operator ] })
+        } else {
+          leaves.push({ field, operator: 'eq', value: v })
+        }
+      }
+
+      conditions += leaves.length
+      if (conditions > self.filterMaxConditions) {
+        errors.push({ field: 'filter', message: 'Filter has too many conditions' })
+        return null
+      }
+
+      return leaves.length === 1 ? leaves[0] : { and: leaves }
+    }
+
+    var validatedFilter = await walk(filter, 1)
+    return { validatedFilter, errors }
+  }
+
+  // Validate conditionsHash against searchSchema. Plain values are validated
+  // as they are; operator objects (e.g. `{ price: { gte: 10 } }`) have each
+  // operand validated with the field's type, and their operators checked
+  // against the field's `operators` list. For remote requests, fields the
+  // session can't read (see `readRoles`) aren't allowed
+  async _validateConditions (conditionsHash, request) {
+    var self = this
+    var plain = {}
+    var withOperators = {}
+    var errors = []
+    var k
+
+    for (k in conditionsHash) {
+      if (request && request.remote && !self._fieldAllowed(request, k, 'readRoles')) {
+        errors.push({ field: k, message: 'Field not allowed' })
+        continue
+      }
+      if (self._isOperatorObject(conditionsHash[ k ])) withOperators[ k ] = conditionsHash[ k ]
+      else plain[ k ] = conditionsHash[ k ]
+    }
+
+    var { validatedObject, errors: plainErrors } = await self.searchSchema.validate(plain, { onlyObjectValues: true })
+    errors = errors.concat(plainErrors)
+
+    // Cast a single operand using the field's definition
+    var cast = async (field, operand) => {
+      var { validatedObject, errors: castErrors } = await self.searchSchema.validate({ [ field ]: operand }, { onlyObjectValues: true })
+      errors = errors.concat(castErrors)
+      return validatedObject[ field ]
+    }
+
+    for (k in withOperators) {
+      var definition = self.searchSchema.structure[ k ]
+      if (!definition) {
+        errors.push({ field: k, message: 'Field not allowed' })
+        continue
+      }
+
+      var allowed = [ 'eq' ].concat(definition.operators || [])
+      validatedObject[ k ] = {}
+
+      for (var op in withOperators[ k ]) {
+        var operand = withOperators[ k ][ op ]
+
+        if (operators.indexOf(op) === -1 || allowed.indexOf(op) === -1) {
+          errors.push({ field: k, message: 'Operator not allowed: ' + op })
+          continue
+        }
+
+        switch (op) {
+          case 'isNull':
+            validatedObject[ k ][ op ] = !(operand === false || operand === 'false' || operand === '0' || operand === 0)
+            break
+
+          case 'like':
+          case 'startsWith':
+          case 'contains':
+            validatedObject[ k ][ op ] = String(operand)
+            break
+
+          case 'in':
+          case 'between':
+            if (!Array.isArray(operand)) operand = String(operand).split(',')
+            if (op === 'between' && operand.length !== 2) {
+              errors.push({ field: k, message: 'Operator between needs two values' })
+              continue
+            }
+            validatedObject[ k ][ op ] = []
+            for (var item of operand) validatedObject[ k ][ op ].push(await cast(k, item))
+            break
+
+          default:
+            validatedObject[ k ][ op ] = operand === null ? null : await cast(k, operand)
+        }
+      }
+    }
+
+    return { validatedObject, errors }
+  }
+
   async _makeGetQuery (request) {
     var self = this
 
     // This is the 'doc' as such
     request.docs = null
 
-    // Check that the method is implemented
-    if (!self.handleGetQuery && request.remote) throw new Store.NotImplementedError()
+    // Check that the method is implemented, and count the request. Queries loading
+    // records included by another store were already checked by _validateIncludes(),
+    // and counted as part of that store's request
+    if (!request.includedBy) {
+      if (!self.handleGetQuery && request.remote) throw new Store.NotImplementedError()
+      await self._checkRateLimits(request, 'getQuery')
+    }
 
     // Check the IDs
     await self.beforeCheckParamIds(request, 'getQquery')
@@ -529,33 +1630,76 @@ var Store = class {
     await self.beforeCheckParamIds(request, 'getQuery')
 
     // Validate the search schema
-    var { validatedObject, errors } = await self.searchSchema.validate(request.options.conditionsHash, { onlyObjectValues: true })
+    var { validatedObject, errors } = await self._validateConditions(request.options.conditionsHash, request)
     if (errors.length) throw new Store.BadRequestError({ errors: errors })
 
     request.options.conditionsHash = validatedObject
 
+    // Work out which relations will be included, and which fields will be fetched
+    self._validateIncludes(request)
+    self._validateFields(request)
+
+    // Validate the filter expression, if there is one
+    if (request.options.filter) {
+      var { validatedFilter, errors: filterErrors } = await self._validateFilter(request.options.filter, request)
+      if (filterErrors.length) throw new Store.BadRequestError({ errors: filterErrors })
+      request.options.filter = validatedFilter
+    }
+    if (request.includeFilter) {
+      request.options.filter = request.options.filter ? { and: [ request.options.filter, request.includeFilter ] } : request.includeFilter
+    }
+
+    // Remote requests can't sort by fields they can't read
+    if (request.remote) self._checkReadableSort(request)
+
+    // Cursor pagination
+    if (self.cursorPagination) await self._prepareCursor(request)
+
+    // In soft-delete mode, only list the records out of the trash, unless
+    // the trash itself is requested (which, for remote requests, needs
+    // handleGetTrash and the `getTrash` permission)
+    var method = 'getQuery'
+    if (self.softDelete && request.options.trashed) {
+      if (!self.handleGetTrash && request.remote) throw new Store.NotImplementedError()
+      method = 'getTrash'
+    }
+    self._filterTrashed(request)
+
     // Check permissions
     if (request.remote) {
-      await self.beforeCheckPermissions(request, 'getQuery')
-      var { granted, message } = await self.checkPermissions(request, 'getQuery')
+      await self.beforeCheckPermissions(request, method)
+      var { granted, message } = await self.checkPermissions(request, method)
       if (!granted) throw new Store.ForbiddenError(message)
-      await self.afterCheckPermissions(request, 'getQuery')
+      await self.afterCheckPermissions(request, method)
     }
 
     // Execute actual DB operation
     await self.beforeDbOperationQuery(request, 'getQuery')
     let { data, grandTotal } = await self.implementQuery(request, 'getQuery') || { data: [], grandTotal: 0 }
     request.docs = data || []
-    request.total = data.length
+    if (self.cursorPagination) self._setCursors(request)
+    request.total = request.docs.length
     if (typeof grandTotal !== 'undefined') request.grandTotal = grandTotal
     await self.afterDbOperationQuery(request, 'getQuery')
 
     // Send over to the client
+    request.docs = request.docs.map((doc) => self._pickFields(request, doc))
+    await self._includeRelated(request, request.docs)
+    if (request.remote) request.docs = request.docs.map((doc) => self._removeUnreadableFields(request, doc))
     await self.beforeReturn(request, 'getQuery')
     return request.docs
   }
 
+  // Writes are run in a transaction (see `transaction()`), and emit a change event
   async _makeDelete (request) {
+    return this.transaction(request, async () => {
+      var doc = await this._runDelete(request)
+      this._emitChange(request, 'delete', 'deleted', request.storedDoc)
+      return doc
+    })
+  }
+
+  async _runDelete (request) {
     var self = this
 
     // This is the 'doc' as such
@@ -564,6 +1708,9 @@ var Store = class {
     // Check that the method is implemented
     if (!self.handleDelete && request.remote) throw new Store.NotImplementedError()
 
+    // Count the request, and throw if it's over the rate limits
+    await self._checkRateLimits(request, 'delete')
+
     // Check the IDs
     await self.beforeCheckParamIds(request, 'delete')
     await self._checkParamIds(request, true)
@@ -574,8 +1721,9 @@ var Store = class {
     request.doc = await self.implementFetch(request, 'delete') || null
     await self.afterDbOperationFetchOne(request, 'delete')
 
-    // Record not there: not found error!
-    if (!request.doc) throw new Store.NotFoundError()
+    // Record not there (or already in the trash), or not belonging to its parents: not found error!
+    if (!request.doc || self._isTrashed(request.doc)) throw new Store.NotFoundError()
+    self._checkDocBelongsToParents(request)
 
     // Check permissions
     if (request.remote) {
@@ -585,54 +1733,151 @@ var Store = class {
       await self.afterCheckPermissions(request, 'delete')
     }
 
+    // Check the 'ifMatch' option, throw if the record changed
+    self._checkIfMatch(request)
+
     await self.beforeDbOperationWrite(request, 'put')
 
-    // Execute actual DB operation
+    // Execute actual DB operation. In soft-delete mode, the record
+    // is moved to the trash by updating it
     await self.beforeDbOperationDelete(request, 'delete')
-    await self.implementDelete(request, 'delete')
+    if (self.softDelete) {
+      request.body = { [ self.deletedAtField ]: new Date() }
+      if (self.deletedByField) request.body[ self.deletedByField ] = self.deletedBy(request)
+      self._bumpVersion(request)
+      await self.implementUpdate(request, 'delete')
+    } else {
+      await self.implementDelete(request, 'delete')
+    }
     await self.afterDbOperationDelete(request, 'delete')
 
     // Run the generic "afterDbOperationWrite" hook
     await  self.afterDbOperationWrite(request, 'delete')
 
-    // Send over to the client
+    // Send over to the client. Change events get the stored record, whatever the client can read
+    request.storedDoc = request.doc
+    if (request.remote) request.doc = self._removeUnreadableFields(request, request.doc)
     await self.beforeReturn(request, 'delete')
     return request.doc
   }
 
-  apiGetQuery (options) {
-    options = options || {}
+  // Writes are run in a transaction (see `transaction()`), and emit a change event
+  async _makeRestore (request) {
+    return this.transaction(request, async () => {
+      var doc = await this._runRestore(request)
+      this._emitChange(request, 'restore', 'updated', request.storedDoc)
+      return doc
+    })
+  }
 
-    // Make up the request
+  // Take a record out of the trash (soft-delete mode only)
+  async _runRestore (request) {
+    var self = this
+
+    // This is the 'doc' as such
+    request.doc = null
+
+    // Check that the method is implemented
+    if (!self.softDelete) throw new Store.NotImplementedError()
+    if (!self.handleRestore && request.remote) throw new Store.NotImplementedError()
+
+    // Count the request, and throw if it's over the rate limits
+    await self._checkRateLimits(request, 'restore')
+
+    // Check the IDs
+    await self.beforeCheckParamIds(request, 'restore')
+    await self._checkParamIds(request, true)
+    await self.afterCheckParamIds(request, 'restore')
+
+    // Fetch the record
+    await self.beforeDbOperationFetchOne(request, 'restore')
+    request.doc = await self.implementFetch(request, 'restore') || null
+    await self.afterDbOperationFetchOne(request, 'restore')
+
+    // Record not there (or not in the trash), or not belonging to its parents: not found error!
+    if (!request.doc || !self._isTrashed(request.doc)) throw new Store.NotFoundError()
+    self._checkDocBelongsToParents(request)
+
+    // Check permissions
+    if (request.remote) {
+      await self.beforeCheckPermissions(request, 'restore')
+      var { granted, message } = await self.checkPermissions(request, 'restore')
+      if (!granted) throw new Store.ForbiddenError(message)
+      await self.afterCheckPermissions(request, 'restore')
+    }
+
+    // Check the 'ifMatch' option, throw if the record changed
+    self._checkIfMatch(request)
+
+    await self.beforeDbOperationWrite(request, 'restore')
+
+    // Execute actual DB operation
+    request.body = { [ self.deletedAtField ]: null }
+    if (self.deletedByField) request.body[ self.deletedByField ] = null
+    self._bumpVersion(request)
+    await self.beforeDbOperationUpdate(request, 'restore')
+    request.doc = await self.implementUpdate(request, 'restore') || null
+    request.docVersion = self.docVersion(request.doc)
+    await self.afterDbOperationUpdate(request, 'restore')
+
+    // Run the generic "afterDbOperationWrite" hook
+    await self.afterDbOperationWrite(request, 'restore')
+
+    // Send over to the client. Change events get the stored record, whatever the client can read
+    request.storedDoc = request.doc
+    if (request.remote) request.doc = self._removeUnreadableFields(request, request.doc)
+    await self.beforeReturn(request, 'restore')
+    return request.doc
+  }
+
+  // Make up a request object for API (local) calls.
+  // Local requests are not remote, unless `options.remote` is set: in that case,
+  // the store will check paramIds and permissions exactly as it would for
+  // a request coming from HTTP
+  _makeApiRequest (options) {
     var request = {}
-    request.remote = false
+    request.remote = !!options.remote
+    request.options = this._co(options)
     request.body = {}
-    if (options.apiParams) request.params = options.apiParams
-    else request.params = {}
-
+    request.params = {}
     request.session = options.session || {}
-    request.options = this._co(options)
 
-    this._makeGetQuery(request)
+    // API calls made while running another request can be part of its transaction
+    if (options.transaction) request.transaction = options.transaction
+    delete request.options.transaction
+    return request
   }
 
-  apiGet (id, options) {
+  async apiGetQuery (options) {
     options = options || {}
 
     // Make up the request
-    var request = {}
-    request.remote = false
-    request.options = options
-    request.body = {}
+    var request = this._makeApiRequest(options)
     if (options.apiParams) request.params = options.apiParams
-    else { request.params = {}; request.params[ this.idProperty ] = id }
-    request.session = options.session || {}
 
     // Actually run the request
-    this._makeGet(request)
+    await this._makeGetQuery(request)
+    var r = { data: request.docs, total: request.total, grandTotal: request.grandTotal }
+    if (this.cursorPagination) {
+      r.nextCursor = request.nextCursor
+      r.prevCursor = request.prevCursor
+    }
+    return r
   }
 
-  apiPut (body, options) {
+  async apiGet (id, options) {
+    options = options || {}
+
+    // Make up the request
+    var request = this._makeApiRequest(options)
+    if (options.apiParams) request.params = options.apiParams
+    else request.params[ this.idProperty ] = id
+
+    // Actually run the request
+    return this._makeGet(request)
+  }
+
+  async apiPut (body, options) {
     options = options || {}
 
     // This will only work if this.idProperty is included in the body object
@@ -641,46 +1886,63 @@ var Store = class {
     }
 
     // Make up the request
-    var request = {}
-    request.remote = false
-    request.options = options
+    var request = this._makeApiRequest(options)
     request.body = this._co(body)
     if (options.apiParams) request.params = options.apiParams
-    else { request.params = {}; request.params[ this.idProperty ] = body[ this.idProperty ] }
-    request.session = options.session || {}
+    else request.params[ this.idProperty ] = body[ this.idProperty ]
 
     // Actually run the request
-    this._makePut(request)
+    return this._makePut(request)
   }
 
-  apiPost (body, options) {
+  async apiPatch (id, patch, options) {
+    options = options || {}
+
+    // Make up the request. The patch is passed as an option, and
+    // the body is worked out from it
+    var request = this._makeApiRequest(options)
+    request.options.patch = typeof patch === 'undefined' ? null : patch
+    if (options.apiParams) request.params = options.apiParams
+    else request.params[ this.idProperty ] = id
+
+    // Actually run the request
+    return this._makePut(request)
+  }
+
+  async apiPost (body, options) {
     options = options || {}
 
     // Make up the request
-    var request = {}
-    request.remote = false
-    request.options = options
-    request.params = options.apiParams || {}
-    request.session = options.session || {}
+    var request = this._makeApiRequest(options)
     request.body = this._co(body)
+    if (options.apiParams) request.params = options.apiParams
 
     // Actually run the request
-    this._makePost(request)
+    return this._makePost(request)
   }
 
-  apiDelete (id, options, next) {
+  async apiDelete (id, options) {
     options = options || {}
 
     // Make up the request
-    var request = {}
-    request.body = {}
-    request.options = options
+    var request = this._makeApiRequest(options)
     if (options.apiParams) request.params = options.apiParams
-    else { request.params = {}; request.params[ this.idProperty ] = id }
-    request.session = options.session || {}
+    else request.params[ this.idProperty ] = id
+
+    // Actually run the request
+    return this._makeDelete(request)
+  }
+
+  async apiRestore (id, options) {
+    options = options || {}
+
+    // Make up the request
+    var request = this._makeApiRequest(options)
+    if (options.apiParams) request.params = options.apiParams
+    else request.params[ this.idProperty ] = id
 
     // Actually run the request
-    this._makeDelete(request, next)
+    return this._makeRestore(request)
   }
 }
 
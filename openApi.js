@@ -0,0 +1,523 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+var Store = require('./jsonreststores')
+
+// Turns a SimpleSchema field definition into an OpenAPI schema object
+function fieldToOpenApi (definition) {
+  var r
+
+  switch (definition.type) {
+    case 'string': r = { type: 'string' }; break
+    case 'number': r = { type: 'number' }; break
+    case 'timestamp': r = { type: 'integer' }; break
+    case 'id': r = { type: 'integer' }; break
+    case 'boolean': r = { type: 'boolean' }; break
+    case 'date': r = { type: 'string', format: 'date-time' }; break
+    case 'array': r = { type: 'array', items: {} }; break
+    case 'serialize': r = { type: 'string' }; break
+    case 'blob': r = { type: 'string', format: 'binary' }; break
+    default: r = {}
+  }
+
+  // Length limits for strings, value limits for numbers
+  if (r.type === 'string' && !r.format) {
+    if (typeof definition.min === 'number') r.minLength = definition.min
+    if (typeof definition.max === 'number') r.maxLength = definition.max
+    if (typeof definition.trim === 'number') r.maxLength = definition.trim
+  }
+  if (r.type === 'number') {
+    if (typeof definition.min === 'number') r.minimum = definition.min
+    if (typeof definition.max === 'number') r.maximum = definition.max
+  }
+
+  // Function defaults are worked out at validation time: they can't be documented
+  if (typeof definition.default !== 'undefined' && typeof definition.default !== 'function') {
+    r.default = definition.default
+  }
+
+  if (definition.canBeNull || definition.emptyAsNull || definition.default === null) r.nullable = true
+
+  return r
+}
+
+// Turns a SimpleSchema structure into an OpenAPI object schema.
+// `skipFields` are left out, and `silent` fields are left out unless `includeSilent` is set
+function schemaToOpenApi (structure, skipFields, includeSilent) {
+  var r = { type: 'object', properties: {} }
+  var required = []
+
+  skipFields = skipFields || []
+
+  for (var k in structure) {
+    if (skipFields.indexOf(k) !== -1) continue
+    if (structure[ k ].silent && !includeSilent) continue
+
+    r.properties[ k ] = fieldToOpenApi(structure[ k ])
+    if (structure[ k ].required) required.push(k)
+  }
+  if (required.length) r.required = required
+
+  return r
+}
+
+// Turns an Express URL (with :tokens) into an OpenAPI one (with {tokens})
+function openApiURL (url) {
+  return url.replace(/:(\w+)/g, '{$1}')
+}
+
+function pathParameters (url) {
+  return (url.match(/:\w+/g) || []).map((token) => {
+    return { name: token.substr(1), in: 'path', required: true, schema: { type: 'string' } }
+  })
+}
+
+function headerParameter (name, description) {
+  return { name, in: 'header', required: false, schema: { type: 'string' }, description }
+}
+
+function errorResponse (description) {
+  return { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+}
+
+// Records are always returned with their version as ETag
+function recordResponse (store, description, headers) {
+  var r = { description, content: { 'application/json': { schema: { $ref: `#/components/schemas/${store.storeName}` } } } }
+  r.headers = Object.assign({ ETag: { schema: { type: 'string' }, description: 'Version of the record' } }, headers)
+  return r
+}
+
+function ifMatchParameter (allowStar) {
+  return headerParameter('If-Match', (allowStar ? 'Set to `*` to only overwrite an existing record, or ' : '') + 'set to the record\'s ETag to only write it if it hasn\'t changed')
+}
+
+// Make up the request body for put and post. If the store has upload
+// fields, multipart/form-data is also accepted, with the upload fields as binary
+function requestBody (store, onlyFields) {
+  var structure = store.schema.structure
+  var uploadFields = store.uploadFields || {}
+
+  var json = schemaToOpenApi(structure, store.paramIds)
+
+  // Single-field requests only ever carry one field, which isn't required
+  if (onlyFields) {
+    json.properties = onlyFields.reduce((o, k) => { o[ k ] = json.properties[ k ]; return o }, {})
+    delete json.required
+  }
+
+  var r = { required: true, content: { 'application/json': { schema: json } } }
+
+  var uploads = Object.keys(uploadFields).filter((k) => !onlyFields || onlyFields.indexOf(k) !== -1)
+  if (uploads.length) {
+    var multipart = JSON.parse(JSON.stringify(json))
+    uploads.forEach((k) => { multipart.properties[ k ] = { type: 'string', format: 'binary' } })
+    r.content[ 'multipart/form-data' ] = { schema: multipart }
+  }
+
+  return r
+}
+
+function conditionalGetParameters () {
+  return [
+    headerParameter('If-None-Match', 'ETag(s) the client already has: if one matches, 304 is returned'),
+    headerParameter('If-Modified-Since', 'If nothing changed since this date, 304 is returned')
+  ]
+}
+
+function fieldsParameter (store) {
+  return {
+    name: 'fields',
+    in: 'query',
+    required: false,
+    schema: { type: 'string' },
+    description: 'Comma-separated list of fields to return' + (store.alwaysReturnedFields.length ? '. Always returned: ' + store.alwaysReturnedFields.join(', ') : '')
+  }
+}
+
+function includeParameters (store) {
+  var names = Object.keys(store._relations())
+  if (!names.length) return []
+
+  return [ {
+    name: 'include',
+    in: 'query',
+    required: false,
+    schema: { type: 'string' },
+    description: 'Comma-separated list of related records to include: ' + names.join(', ')
+  } ]
+}
+
+function placementParameters () {
+  return [
+    headerParameter('Placement', 'Where to place the record: `first`, `last` or `after`'),
+    headerParameter('Placement-After', 'If Placement is `after`, the ID of the record to place this one after')
+  ]
+}
+
+// Works out the `paths` entries for one store, following the routes
+// registered by HTTPMixin's protocolListenHTTP
+function storePaths (store) {
+  var url = store.getFullPublicURL()
+  var paths = {}
+
+  var itemURL = url
+  var collectionURL = url.replace(/:\w*$/, '')
+  var itemParameters = pathParameters(itemURL)
+  var collectionParameters = pathParameters(collectionURL)
+  var tags = [ store.storeName ]
+
+  var item = {}
+  var collection = {}
+
+  if (store.handleGet) {
+    item.get = {
+      tags,
+      operationId: `${store.storeName}.get`,
+      parameters: itemParameters.concat([ fieldsParameter(store) ], includeParameters(store), conditionalGetParameters()),
+      responses: {
+        200: recordResponse(store, 'The record'),
+        304: { description: 'Not modified' },
+        403: errorResponse('Permission denied'),
+        404: errorResponse('Record not found')
+      }
+    }
+  }
+
+  if (store.handlePut) {
+    item.put = {
+      tags,
+      operationId: `${store.storeName}.put`,
+      parameters: itemParameters.concat([
+        ifMatchParameter(true),
+        headerParameter('If-None-Match', 'Set to `*` to only create a new record')
+      ], placementParameters()),
+      requestBody: requestBody(store),
+      responses: {
+        201: recordResponse(store, 'The written record', { Location: { schema: { type: 'string' } } }),
+        403: errorResponse('Permission denied'),
+        412: errorResponse('Precondition failed'),
+        422: errorResponse('Validation failed')
+      }
+    }
+  }
+
+  if (store.handlePatch) {
+    var patchSchema = schemaToOpenApi(store.schema.structure, store.paramIds)
+    delete patchSchema.required
+
+    item.patch = {
+      tags,
+      operationId: `${store.storeName}.patch`,
+      parameters: itemParameters.concat([ ifMatchParameter() ]),
+      requestBody: {
+        required: true,
+        content: {
+          'application/merge-patch+json': { schema: patchSchema },
+          'application/json-patch+json': {
+            schema: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: [ 'op', 'path' ],
+                properties: {
+                  op: { type: 'string', enum: [ 'add', 'remove', 'replace', 'move', 'copy', 'test' ] },
+                  path: { type: 'string' },
+                  from: { type: 'string' },
+                  value: {}
+                }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: recordResponse(store, 'The patched record'),
+        403: errorResponse('Permission denied'),
+        404: errorResponse('Record not found'),
+        409: errorResponse('A `test` operation failed'),
+        412: errorResponse('Precondition failed'),
+        415: errorResponse('Unsupported patch format'),
+        422: errorResponse('Invalid patch, or validation failed')
+      }
+    }
+  }
+
+  if (store.handleDelete) {
+    item.delete = {
+      tags,
+      operationId: `${store.storeName}.delete`,
+      parameters: itemParameters.concat([ ifMatchParameter() ]),
+      responses: {
+        200: { description: 'The deleted record', content: { 'application/json': { schema: { $ref: `#/components/schemas/${store.storeName}` } } } },
+        403: errorResponse('Permission denied'),
+        404: errorResponse('Record not found'),
+        412: errorResponse('Precondition failed')
+      }
+    }
+  }
+
+  if (store.handleGetQuery) {
+    var queryParameters = []
+    var searchStructure = store.searchSchema.structure
+    for (var k in searchStructure) {
+      queryParameters.push({ name: k, in: 'query', required: false, schema: fieldToOpenApi(searchStructure[ k ]) })
+
+      // Operators are passed as `field[operator]`
+      ;(searchStructure[ k ].operators || []).forEach((op) => {
+        var schema = fieldToOpenApi(searchStructure[ k ])
+        if (op === 'isNull') schema = { type: 'boolean' }
+        if (op === 'like' || op === 'startsWith' || op === 'contains') schema = { type: 'string' }
+        if (op === 'in' || op === 'between') schema = { type: 'string', description: 'Comma-separated values' }
+        queryParameters.push({ name: `${k}[${op}]`, in: 'query', required: false, schema })
+      })
+    }
+    queryParameters.push(fieldsParameter(store))
+    queryParameters = queryParameters.concat(includeParameters(store))
+    queryParameters.push({
+      name: 'filter',
+      in: 'query',
+      required: false,
+      schema: { type: 'string' },
+      description: 'JSON filter expression, with `and`, `or` and `not` nodes and conditions on searchable fields'
+    })
+    if (store.sortableFields.length) {
+      queryParameters.push({
+        name: 'sortBy',
+        in: 'query',
+        required: false,
+        schema: { type: 'string' },
+        description: 'Comma-separated list of fields, each prefixed by `+` or `-`. Sortable fields: ' + store.sortableFields.join(', ')
+      })
+    }
+    if (store.softDelete && store.handleGetTrash) {
+      queryParameters.push({
+        name: 'trashed',
+        in: 'query',
+        required: false,
+        schema: { type: 'boolean' },
+        description: 'If set, list the records in the trash instead'
+      })
+    }
+    // In cursor mode, the Range header only sets the page size
+    var queryHeaders = { ETag: { schema: { type: 'string' }, description: 'Version of the returned data' } }
+    if (store.cursorPagination) {
+      queryParameters.push({
+        name: 'cursor',
+        in: 'query',
+        required: false,
+        schema: { type: 'string' },
+        description: 'Opaque cursor to the next or previous page, as found in the `Link` header'
+      })
+      queryParameters.push(headerParameter('Range', 'Page size, as `items=0-(size-1)`'))
+      queryHeaders.Link = { schema: { type: 'string' }, description: 'Links to the next and previous pages (`rel="next"`, `rel="prev"`)' }
+      if (store.cursorGrandTotal) queryHeaders[ 'X-Total-Count' ] = { schema: { type: 'integer' }, description: 'Number of matching records' }
+    } else {
+      queryParameters.push(headerParameter('Range', 'Range of records to return, as `items=from-to`'))
+      queryHeaders[ 'Content-Range' ] = { schema: { type: 'string' }, description: 'Returned range, as `items from-to/grandTotal`' }
+    }
+    queryParameters = queryParameters.concat(conditionalGetParameters())
+
+    collection.get = {
+      tags,
+      operationId: `${store.storeName}.getQuery`,
+      parameters: collectionParameters.concat(queryParameters),
+      responses: {
+        200: {
+          description: 'The matching records',
+          headers: queryHeaders,
+          content: { 'application/json': { schema: { type: 'array', items: { $ref: `#/components/schemas/${store.storeName}` } } } }
+        },
+        304: { description: 'Not modified' },
+        400: errorResponse('Invalid search parameters'),
+        403: errorResponse('Permission denied')
+      }
+    }
+  }
+
+  if (store.handlePost) {
+    collection.post = {
+      tags,
+      operationId: `${store.storeName}.post`,
+      parameters: collectionParameters.concat(placementParameters()),
+      requestBody: requestBody(store),
+      responses: {
+        201: recordResponse(store, 'The created record', { Location: { schema: { type: 'string' } } }),
+        403: errorResponse('Permission denied'),
+        422: errorResponse('Validation failed')
+      }
+    }
+  }
+
+  if (Object.keys(item).length) paths[ openApiURL(itemURL) ] = item
+  if (Object.keys(collection).length) paths[ openApiURL(collectionURL) ] = collection
+
+  // In soft-delete mode, records are taken out of the trash with a POST
+  if (store.softDelete && store.handleRestore) {
+    paths[ openApiURL(itemURL + '/restore') ] = {
+      post: {
+        tags,
+        operationId: `${store.storeName}.restore`,
+        parameters: itemParameters.concat([ ifMatchParameter() ]),
+        responses: {
+          200: recordResponse(store, 'The restored record'),
+          403: errorResponse('Permission denied'),
+          404: errorResponse('Record not found in the trash'),
+          412: errorResponse('Precondition failed')
+        }
+      }
+    }
+  }
+
+  // Server-Sent Events feed of the store's changes
+  if (store.handleEvents) {
+    paths[ openApiURL(collectionURL + '_events') ] = {
+      get: {
+        tags,
+        operationId: `${store.storeName}.events`,
+        parameters: collectionParameters,
+        responses: {
+          200: {
+            description: 'A stream of `inserted`, `updated` and `deleted` events, each one with the record as data',
+            content: { 'text/event-stream': { schema: { type: 'string' } } }
+          },
+          403: errorResponse('Permission denied')
+        }
+      }
+    }
+  }
+
+  // The history of a record, for stores with an audit trail (see AuditMixin)
+  if (store.handleHistory) {
+    paths[ openApiURL(itemURL + '/_history') ] = {
+      get: {
+        tags,
+        operationId: `${store.storeName}.history`,
+        parameters: itemParameters,
+        responses: {
+          200: {
+            description: 'The changes made to the record, oldest first',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      storeName: { type: 'string' },
+                      method: { type: 'string' },
+                      operation: { type: 'string', enum: [ 'insert', 'update', 'delete' ] },
+                      recordId: { type: 'string' },
+                      params: { type: 'object' },
+                      user: {},
+                      before: { type: 'object', nullable: true },
+                      after: { type: 'object', nullable: true },
+                      diff: { type: 'object' },
+                      timestamp: { type: 'string', format: 'date-time' }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          403: errorResponse('Permission denied')
+        }
+      }
+    }
+  }
+
+  // Single fields, which are always available for `put`, and
+  // available for `get` if the store handles it
+  Object.keys(store._singleFields).forEach((field) => {
+    var fieldPath = {}
+
+    if (store.handleGet) {
+      fieldPath.get = {
+        tags,
+        operationId: `${store.storeName}.getField.${field}`,
+        parameters: itemParameters,
+        responses: {
+          200: recordResponse(store, 'The record'),
+          404: errorResponse('Record not found')
+        }
+      }
+    }
+    fieldPath.put = {
+      tags,
+      operationId: `${store.storeName}.putField.${field}`,
+      parameters: itemParameters,
+      requestBody: requestBody(store, [ field ]),
+      responses: {
+        201: recordResponse(store, 'The updated record'),
+        422: errorResponse('Validation failed')
+      }
+    }
+
+    paths[ openApiURL(itemURL + '/' + field) ] = fieldPath
+  })
+
+  return paths
+}
+
+// Makes up an OpenAPI 3 document out of all of the registered stores.
+// Only stores with a public URL and with HTTPMixin applied are considered
+function makeSpec (options) {
+  options = options || {}
+
+  var spec = {
+    openapi: '3.0.3',
+    info: options.info || { title: 'API', version: '1.0.0' },
+    paths: {},
+    components: {
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            errors: {
+              type: 'array',
+              items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } }
+            }
+          }
+        }
+      }
+    }
+  }
+  if (options.servers) spec.servers = options.servers
+
+  var stores = Store.getAllStores()
+  for (var storeName in stores) {
+    var store = stores[ storeName ]
+
+    if (typeof store.protocolListenHTTP !== 'function' || !store.getFullPublicURL()) continue
+
+    spec.components.schemas[ storeName ] = schemaToOpenApi(store.schema.structure)
+    Object.assign(spec.paths, storePaths(store))
+  }
+
+  return spec
+}
+
+// Serves the spec from `params.url` (default: /openapi.json).
+// The spec is worked out for each request, so that stores defined
+// after this call are also included
+function protocolListenHTTP (params) {
+  var app = params.app
+  var url = params.url || '/openapi.json'
+
+  app.get(url, function (req, res, next) {
+    try {
+      res.json(makeSpec(params))
+    } catch (e) {
+      next(e)
+    }
+  })
+}
+
+exports = module.exports = { makeSpec, protocolListenHTTP, fieldToOpenApi, schemaToOpenApi }
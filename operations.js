@@ -0,0 +1,65 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+// Operations are protocol-neutral descriptions of requests, as objects with
+// `method`, `params`, `body` and `options`. They are used by batch requests,
+// WebSocketMixin and JsonRpcMixin, which run them through the stores' pipelines
+// exactly as HTTPMixin runs HTTP requests
+
+// Status codes of successful operations, as they would be sent by HTTPMixin.
+// Without a prototype, so that only these methods (and not e.g. `constructor`) are found
+var statuses = Object.assign(Object.create(null), { get: 200, getQuery: 200, put: 201, post: 201, delete: 200, patch: 200, restore: 200 })
+
+// Options that clients can set for each operation
+var allowedOptions = [ 'conditionsHash', 'filter', 'sort', 'ranges', 'cursor', 'fields', 'include', 'ifMatch', 'placement', 'placementAfter', 'trashed' ]
+
+// Makes up the request for an operation, as HTTPMixin would for the
+// corresponding HTTP request. `req` is the request the operation came
+// with (its session becomes the request's)
+function makeRequest (store, operation, protocol, req) {
+  var request = {}
+  var options = {}
+  var opOptions = operation.options || {}
+
+  allowedOptions.forEach((k) => {
+    if (typeof opOptions[ k ] !== 'undefined') options[ k ] = opOptions[ k ]
+  })
+
+  if (operation.method === 'getQuery') {
+    if (!options.ranges) options.ranges = { skip: 0, limit: store.defaultLimitOnQueries }
+    if (store.deleteAfterGetQuery) options.delete = !!store.deleteAfterGetQuery
+    if (store.defaultSort && (typeof options.sort !== 'object' || options.sort === null || !Object.keys(options.sort).length)) {
+      options.sort = store.defaultSort
+    }
+  }
+
+  // Patches are passed as body; `options.patchType` is `merge` (default) or `json`
+  if (operation.method === 'patch') {
+    options.patchType = opOptions.patchType === 'json' ? 'json' : 'merge'
+    options.patch = typeof operation.body === 'undefined' ? null : operation.body
+  }
+
+  request.remote = true
+  request.protocol = protocol
+  request.params = Object.assign({}, operation.params)
+  request.body = operation.method === 'patch' || operation.method === 'restore' ? {} : Object.assign({}, operation.body)
+  request.session = req.session || {}
+  request.options = options
+  request._req = req
+  return request
+}
+
+// Runs a request made up by makeRequest() through the store's pipeline
+async function runRequest (store, method, request) {
+  var funcName = method === 'patch' ? 'Put' : method[0].toUpperCase() + method.slice(1)
+  return store['_make' + funcName](request)
+}
+
+exports = module.exports = { statuses, allowedOptions, makeRequest, runRequest }
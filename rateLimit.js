@@ -0,0 +1,44 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+// Counters used by stores' `rateLimits`. A counter has one method,
+// `hit(key, window)`: it counts a hit for `key` in the current window
+// (of `window` milliseconds, starting from the key's first hit), and returns
+// `{ count, reset }`, where `count` is the number of hits in the window
+// (this one included) and `reset` is when the window ends (in milliseconds,
+// as returned by Date.now()). Counters shared among processes (e.g. kept in
+// Redis) just need to implement `hit()`
+
+// The default counter, which keeps counts in memory (so, per process)
+class MemoryRateLimitCounter {
+  constructor () {
+    this.windows = new Map()
+    this.hits = 0
+  }
+
+  async hit (key, window) {
+    var now = Date.now()
+
+    // Every now and then, forget the windows that are over
+    if (++this.hits % 1000 === 0) {
+      this.windows.forEach((w, k) => { if (w.reset <= now) this.windows.delete(k) })
+    }
+
+    var w = this.windows.get(key)
+    if (!w || w.reset <= now) {
+      w = { count: 0, reset: now + window }
+      this.windows.set(key, w)
+    }
+    w.count++
+    return { count: w.count, reset: w.reset }
+  }
+}
+
+exports = module.exports = { MemoryRateLimitCounter }
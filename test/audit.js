@@ -0,0 +1,110 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+
+var { describe, it, beforeEach, afterEach } = require('node:test')
+var assert = require('node:assert')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+
+var Schema = require('simpleschema2')
+var Store = require('../jsonreststores')
+var MemoryStoreMixin = require('../MemoryStoreMixin')
+var AuditMixin = require('../AuditMixin')
+
+// A store with transactions, made the way database stores make them
+// (the data itself isn't rolled back: only what's held back is dropped)
+class Notes extends AuditMixin(MemoryStoreMixin(Store)) {
+  static get schema () {
+    return new Schema({
+      title: { type: 'string', searchable: true }
+    })
+  }
+
+  static get storeName () { return 'notes' }
+  static get publicURL () { return '/notes/:id' }
+
+  async transaction (request, f) {
+    if (request.transaction) return f()
+
+    var transaction = {}
+    request.transaction = transaction
+    try {
+      this._transactionStarted(transaction)
+      var r = await f()
+      this.log.push('commit')
+      await this._transactionEnded(transaction, true)
+      return r
+    } catch (e) {
+      this._transactionEnded(transaction, false)
+      throw e
+    } finally {
+      delete request.transaction
+    }
+  }
+
+  async afterDbOperationInsert (request, method) {
+    await super.afterDbOperationInsert(request, method)
+    if (request.body.title === 'fail') throw new Error('Failed after the insert')
+  }
+
+  logError (request, error) {
+    this.errors.push(error)
+  }
+}
+
+var notes
+var file = path.join(os.tmpdir(), 'jsonreststores-audit-' + process.pid + '.log')
+beforeEach(() => {
+  Store.deleteStore('notes')
+  notes = new Notes()
+  notes.log = []
+  notes.errors = []
+})
+afterEach(() => fs.promises.rm(file, { force: true }))
+
+describe('audit trail', () => {
+  it('passes entries to a function sink once the transaction is committed', async () => {
+    notes.auditSink = (entry) => { notes.log.push(entry.operation + ' ' + entry.after.title) }
+    await notes.apiPost({ title: 'One' })
+    assert.deepStrictEqual(notes.log, [ 'commit', 'insert One' ])
+  })
+
+  it('drops entries of writes that are rolled back', async () => {
+    notes.auditSink = (entry) => { notes.log.push(entry.operation + ' ' + entry.after.title) }
+    await assert.rejects(notes.apiPost({ title: 'fail' }), /Failed after the insert/)
+    assert.deepStrictEqual(notes.log, [])
+
+    notes.auditSink = { file }
+    await assert.rejects(notes.apiPost({ title: 'fail' }), /Failed after the insert/)
+    assert.strictEqual(fs.existsSync(file), false)
+  })
+
+  it('logs errors of sinks once the transaction is committed', async () => {
+    notes.auditSink = () => { throw new Error('Sink failed') }
+    var doc = await notes.apiPost({ title: 'One' })
+    assert.strictEqual(doc.title, 'One')
+    assert.deepStrictEqual(notes.errors.map((e) => e.message), [ 'Sink failed' ])
+  })
+
+  it('reads the latest entries of a record back from a file sink', async () => {
+    notes.auditSink = { file }
+    notes.historyLimit = 2
+    var doc = await notes.apiPost({ title: 'One' })
+    await notes.apiPost({ title: 'Other' })
+    await notes.apiPut({ id: doc.id, title: 'Two' })
+    await notes.apiPut({ id: doc.id, title: 'Three' })
+
+    var entries = await notes.apiHistory(doc.id)
+    assert.deepStrictEqual(entries.map((entry) => entry.after.title), [ 'Two', 'Three' ])
+    assert.deepStrictEqual(await notes.apiHistory(1000), [])
+  })
+})
@@ -0,0 +1,52 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+var { describe, it } = require('node:test')
+var assert = require('node:assert')
+var { PassThrough } = require('stream')
+
+var { readBody } = require('../bodyReader')
+
+// A request sending `chunks`, one at a time
+var makeReq = (chunks, headers) => {
+  var req = new PassThrough()
+  req.headers = headers || {}
+  var written = 0
+  var write = () => {
+    if (written === chunks.length) return req.end()
+    req.write(chunks[ written++ ])
+    setImmediate(write)
+  }
+  setImmediate(write)
+  return req
+}
+
+describe('readBody', () => {
+  it('reads the body', async () => {
+    var req = makeReq([ '{"a":', '1}' ])
+    assert.strictEqual(await readBody(req, 100), '{"a":1}')
+  })
+
+  it('rejects bodies larger than the limit, and stops reading', async () => {
+    var req = makeReq([ 'x'.repeat(60), 'x'.repeat(60), 'x'.repeat(60) ])
+    await assert.rejects(readBody(req, 100), (e) => Number(e.status) === 413)
+    assert.ok(req.isPaused())
+  })
+
+  it('rejects bodies whose Content-Length is larger than the limit, without reading them', async () => {
+    var req = makeReq([ 'x' ], { 'content-length': '1000' })
+    await assert.rejects(readBody(req, 100), (e) => Number(e.status) === 413)
+  })
+
+  it('has a default limit of 100kb', async () => {
+    var req = makeReq([ Buffer.alloc(100 * 1024 + 1) ])
+    await assert.rejects(readBody(req), (e) => Number(e.status) === 413)
+  })
+})
@@ -0,0 +1,57 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+var { describe, it } = require('node:test')
+var assert = require('node:assert')
+var { PassThrough } = require('stream')
+
+var Schema = require('simpleschema2')
+var Store = require('../jsonreststores')
+var MemoryStoreMixin = require('../MemoryStoreMixin')
+var JsonRpcMixin = require('../JsonRpcMixin')
+
+class Things extends JsonRpcMixin(MemoryStoreMixin(Store)) {
+  static get schema () { return new Schema({ name: { type: 'string' } }) }
+  static get storeName () { return 'things' }
+  static get paramIds () { return [ 'id' ] }
+  static get handlePost () { return true }
+}
+
+// An app with just enough of Express to register the route
+var routes = {}
+var app = { post: (url, handler) => { routes[ url ] = handler } }
+new Things().protocolListenJsonRpc({ app, bodyLimit: 200 })
+
+// Posts `body` to the JSON-RPC route, resolving with `{ status, body }`
+var call = (body) => new Promise((resolve, reject) => {
+  var req = new PassThrough()
+  req.headers = {}
+  req.session = {}
+  var res = { status (code) { this.statusCode = code; return this }, json (body) { resolve({ status: this.statusCode, body }) }, end () { resolve({ status: this.statusCode }) } }
+  routes[ '/_rpc' ](req, res, reject)
+  req.end(body)
+})
+
+describe('JSON-RPC', () => {
+  it('runs calls', async () => {
+    var r = await call(JSON.stringify({ jsonrpc: '2.0', method: 'things.post', params: { body: { name: 'a' } }, id: 1 }))
+    assert.deepStrictEqual(r, { status: 200, body: { jsonrpc: '2.0', result: { id: 1, name: 'a' }, id: 1 } })
+  })
+
+  it('answers bodies that are not JSON with a parse error', async () => {
+    var r = await call('{bad')
+    assert.strictEqual(r.body.error.code, -32700)
+  })
+
+  it('does not read bodies larger than bodyLimit', async () => {
+    var r = await call(JSON.stringify({ jsonrpc: '2.0', method: 'things.post', params: { body: { name: 'a'.repeat(500) } }, id: 1 }))
+    assert.strictEqual(r.status, 413)
+  })
+})
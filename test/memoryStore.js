@@ -0,0 +1,466 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+var { describe, it, beforeEach } = require('node:test')
+var assert = require('node:assert')
+
+var Schema = require('simpleschema2')
+var Store = require('../jsonreststores')
+var MemoryStoreMixin = require('../MemoryStoreMixin')
+var HTTPMixin = require('../HTTPMixin')
+var { runBatch } = require('../batch')
+var { MemoryRateLimitCounter } = require('../rateLimit')
+
+class Items extends HTTPMixin(MemoryStoreMixin(Store)) {
+  static get schema () {
+    return new Schema({
+      name: { type: 'string', searchable: true, required: true, operators: [ 'like' ] },
+      age: { type: 'number', searchable: true, canBeNull: true, operators: [ 'gte', 'lt' ] },
+      listId: { type: 'id', searchable: true },
+      userId: { type: 'id', canBeNull: true },
+      position: { type: 'number' },
+      version: { type: 'number' },
+      notes: { type: 'string', readRoles: [ 'admin' ], writeRoles: [ 'admin' ] },
+      code: { type: 'string', writeOnce: true }
+    })
+  }
+
+  static get storeName () { return 'items' }
+  static get publicURL () { return '/items/:id' }
+
+  static get positionField () { return 'position' }
+  static get positionFilter () { return [ 'listId' ] }
+  static get versionField () { return 'version' }
+
+  static get handlePut () { return true }
+  static get handlePost () { return true }
+  static get handleGet () { return true }
+  static get handleGetQuery () { return true }
+  static get handleDelete () { return true }
+  static get handlePatch () { return true }
+
+  static get permissions () {
+    return {
+      delete: [ { roles: [ 'admin' ] } ],
+      put: [ { roles: [ 'admin' ] }, { owner: 'userId' } ],
+      getQuery: [ { roles: [ 'admin' ] }, { owner: 'userId' } ]
+    }
+  }
+
+  static get initialData () {
+    return [
+      { id: 1, name: 'Tony', age: 40, listId: 1, userId: 10, position: 1, version: 1, notes: 'secret', code: 'A' },
+      { id: 2, name: 'Chiara', age: 30, listId: 1, userId: 20, position: 2, version: 1, notes: null, code: 'B' },
+      { id: 3, name: 'Bob', age: null, listId: 1, userId: 10, position: 3, version: 1, notes: null, code: 'C' },
+      { id: 4, name: 'Ann', age: 20, listId: 2, userId: 20, position: 1, version: 1, notes: null, code: 'D' }
+    ]
+  }
+}
+
+var admin = { remote: true, session: { user: 10, roles: [ 'admin' ] } }
+var user10 = { remote: true, session: { user: 10 } }
+var user20 = { remote: true, session: { user: 20 } }
+
+var items
+beforeEach(() => {
+  Store.deleteStore('items')
+  items = new Items()
+})
+
+// HTTP errors have their status as a string
+var status = (code) => (e) => Number(e.status) === code
+var ids = (docs) => docs.map((doc) => doc.id)
+var positions = (listId) => items.data.filter((r) => r.listId === listId).sort((a, b) => a.position - b.position).map((r) => r.id)
+
+describe('put and post', () => {
+  it('creates records, with the next id and the last position', async () => {
+    var doc = await items.apiPost({ name: 'Dave', listId: 1 })
+    assert.strictEqual(doc.id, 5)
+    assert.strictEqual(doc.position, 4)
+    assert.strictEqual(doc.version, 1)
+    assert.strictEqual(doc.age, null)
+  })
+
+  it('places records before the record in beforeId', async () => {
+    await items.apiPost({ name: 'Dave', listId: 1, beforeId: 2 })
+    assert.deepStrictEqual(positions(1), [ 1, 5, 2, 3 ])
+  })
+
+  it('rejects invalid records', async () => {
+    await assert.rejects(items.apiPost({ age: 'x' }), (e) => status(422)(e) && e.errors.length === 2)
+  })
+
+  it('increments the version at every write', async () => {
+    var doc = await items.apiPut({ id: 2, name: 'Chiara', listId: 1 })
+    assert.strictEqual(doc.version, 2)
+  })
+})
+
+describe('patch', () => {
+  it('applies merge patches, leaving the other fields alone', async () => {
+    var doc = await items.apiPatch(2, { age: 31 })
+    assert.strictEqual(doc.age, 31)
+    assert.strictEqual(doc.name, 'Chiara')
+    assert.strictEqual(doc.version, 2)
+  })
+
+  it('deletes fields set to null in merge patches', async () => {
+    var doc = await items.apiPatch(1, { age: null })
+    assert.strictEqual(doc.age, null)
+  })
+
+  it('applies JSON patches', async () => {
+    var doc = await items.apiPatch(2, [ { op: 'test', path: '/name', value: 'Chiara' }, { op: 'replace', path: '/age', value: 32 } ], { patchType: 'json' })
+    assert.strictEqual(doc.age, 32)
+  })
+
+  it('rejects JSON patches whose test fails, without writing', async () => {
+    var patch = [ { op: 'replace', path: '/age', value: 32 }, { op: 'test', path: '/name', value: 'Nope' } ]
+    await assert.rejects(items.apiPatch(2, patch, { patchType: 'json' }), status(409))
+    assert.strictEqual(items.data[ 1 ].age, 30)
+  })
+
+  it('rejects patches that are not objects', async () => {
+    await assert.rejects(items.apiPatch(2, null), status(422))
+  })
+
+  it('checks permissions before rejecting patches', async () => {
+    await assert.rejects(items.apiPatch(2, null, user10), status(403))
+    await assert.rejects(items.apiPatch(2, [ { op: 'test', path: '/notes', value: null } ], Object.assign({ patchType: 'json' }, user10)), status(403))
+    await assert.rejects(items.apiPatch(1, null, user10), status(422))
+  })
+
+  it('rejects patches with forbidden keys', async () => {
+    await assert.rejects(items.apiPatch(2, [ { op: 'add', path: '/__proto__/polluted', value: 1 } ], { patchType: 'json' }), status(422))
+    assert.strictEqual({}.polluted, undefined)
+  })
+
+  it('returns 404 for missing records', async () => {
+    await assert.rejects(items.apiPatch(99, { age: 1 }), status(404))
+  })
+})
+
+describe('If-Match', () => {
+  it('writes when the version matches', async () => {
+    var doc = await items.apiPatch(2, { age: 31 }, { ifMatch: '1' })
+    assert.strictEqual(doc.version, 2)
+  })
+
+  it('rejects writes when the version does not match', async () => {
+    await assert.rejects(items.apiPatch(2, { age: 31 }, { ifMatch: '7' }), status(412))
+    assert.strictEqual(items.data[ 1 ].age, 30)
+  })
+
+  it('accepts a list of versions', async () => {
+    await items.apiDelete(2, { ifMatch: [ '5', '1' ] })
+    assert.strictEqual(items.data.length, 3)
+  })
+
+  it('treats records without a version as version 0', async () => {
+    items.data[ 1 ].version = null
+    items.data[ 2 ].version = null
+    var doc = await items.apiPatch(2, { age: 31 }, { ifMatch: '0' })
+    assert.strictEqual(doc.version, 1)
+    doc = await items.apiPut({ id: 3, name: 'Bob', listId: 1 })
+    assert.strictEqual(doc.version, 1)
+
+    items.data[ 1 ].version = null
+    await items.apiDelete(2, { ifMatch: '0' })
+    assert.deepStrictEqual(ids(items.data), [ 1, 3, 4 ])
+  })
+
+  it('leaves positions alone when a write is rejected', async () => {
+    // The record changes after it's fetched, so the store rejects the write
+    items.beforeDbOperationUpdate = async (request) => { items.data[ 2 ].version = 9 }
+    await assert.rejects(items.apiPut({ id: 3, name: 'Bob', listId: 1, beforeId: 1 }), status(412))
+    assert.deepStrictEqual(positions(1), [ 1, 2, 3 ])
+    assert.deepStrictEqual(items.data.map((r) => r.position), [ 1, 2, 3, 1 ])
+  })
+})
+
+describe('queries', () => {
+  it('filters with conditionsHash', async () => {
+    var r = await items.apiGetQuery({ conditionsHash: { listId: 1 } })
+    assert.deepStrictEqual(ids(r.data).sort(), [ 1, 2, 3 ])
+    assert.strictEqual(r.grandTotal, 3)
+  })
+
+  it('filters with operators', async () => {
+    var r = await items.apiGetQuery({ conditionsHash: { age: { gte: 30 } } })
+    assert.deepStrictEqual(ids(r.data).sort(), [ 1, 2 ])
+  })
+
+  it('filters with and, or and not', async () => {
+    var r = await items.apiGetQuery({ filter: { or: [ { name: { like: 'b%' } }, { and: [ { age: { gte: 20 } }, { not: { age: { gte: 30 } } } ] } ] } })
+    assert.deepStrictEqual(ids(r.data).sort(), [ 3, 4 ])
+  })
+
+  it('rejects filters on fields that are not searchable', async () => {
+    await assert.rejects(items.apiGetQuery({ conditionsHash: { code: 'A' } }), status(400))
+  })
+
+  it('sorts and paginates', async () => {
+    var r = await items.apiGetQuery({ sort: { age: -1 }, ranges: { skip: 1, limit: 2 } })
+    assert.deepStrictEqual(ids(r.data), [ 4, 2 ])
+    assert.strictEqual(r.grandTotal, 4)
+  })
+})
+
+describe('cursors', () => {
+  beforeEach(() => { items.cursorPagination = true })
+
+  var walk = async (options, cursorName) => {
+    var pages = []
+    var r = await items.apiGetQuery(Object.assign({ ranges: { limit: 2 } }, options))
+    pages.push(ids(r.data))
+    while (r[ cursorName ]) {
+      r = await items.apiGetQuery(Object.assign({ ranges: { limit: 2 }, cursor: r[ cursorName ] }, options))
+      pages.push(ids(r.data))
+    }
+    return pages
+  }
+
+  it('walks through every record once', async () => {
+    await items.apiPost({ name: 'Eve', age: 20, listId: 2 })
+    var pages = await walk({ sort: { age: -1 } }, 'nextCursor')
+    assert.deepStrictEqual(pages, [ [ 3, 5 ], [ 4, 2 ], [ 1 ] ])
+  })
+
+  it('goes back with prevCursor', async () => {
+    var first = await items.apiGetQuery({ sort: { age: -1 }, ranges: { limit: 2 } })
+    var second = await items.apiGetQuery({ sort: { age: -1 }, ranges: { limit: 2 }, cursor: first.nextCursor })
+    var back = await items.apiGetQuery({ sort: { age: -1 }, ranges: { limit: 2 }, cursor: second.prevCursor })
+    assert.deepStrictEqual(ids(back.data), ids(first.data))
+  })
+
+  it('rejects invalid cursors', async () => {
+    await assert.rejects(items.apiGetQuery({ cursor: 'nope' }), status(400))
+    var cursor = Buffer.from(JSON.stringify({ d: 'next', s: [ 'id' ], v: [ { a: 1 } ] })).toString('base64')
+    await assert.rejects(items.apiGetQuery({ sort: {}, cursor }), status(400))
+  })
+})
+
+describe('batch', () => {
+  it('runs operations in order, returning their statuses', async () => {
+    var results = await runBatch([
+      { store: 'items', method: 'post', body: { name: 'Dave', listId: 2 } },
+      { store: 'items', method: 'patch', params: { id: 5 }, body: { age: 50 } },
+      { store: 'items', method: 'get', params: { id: 5 } },
+      { store: 'items', method: 'delete', params: { id: 5 } }
+    ], { session: { user: 10, roles: [ 'admin' ] } })
+    assert.deepStrictEqual(results.map((r) => r.status), [ 201, 200, 200, 200 ])
+    assert.strictEqual(results[ 2 ].body.age, 50)
+    assert.strictEqual(items.data.length, 4)
+  })
+
+  it('reports errors, and stops on them if asked to', async () => {
+    var operations = [
+      { store: 'items', method: 'get', params: { id: 99 } },
+      { store: 'nope', method: 'get', params: { id: 1 } },
+      { store: 'items', method: 'constructor' },
+      { store: 'items', method: 'get', params: { id: 1 } }
+    ]
+    var results = await runBatch(operations, { session: {} })
+    assert.deepStrictEqual(results.map((r) => r.status), [ 404, 404, 400, 200 ])
+
+    results = await runBatch(operations, { session: {} }, true)
+    assert.deepStrictEqual(results.map((r) => r.status), [ 404 ])
+  })
+})
+
+describe('permissions', () => {
+  it('grants methods by role', async () => {
+    await assert.rejects(items.apiDelete(1, user10), status(403))
+    await items.apiDelete(1, admin)
+    assert.strictEqual(items.data.length, 3)
+  })
+
+  it('lets owners change their own records only', async () => {
+    await items.apiPatch(1, { age: 41 }, user10)
+    await assert.rejects(items.apiPatch(2, { age: 31 }, user10), status(403))
+    assert.strictEqual(items.data[ 1 ].age, 30)
+  })
+
+  it('only returns the records owned by the user in queries', async () => {
+    var r = await items.apiGetQuery(user20)
+    assert.deepStrictEqual(ids(r.data).sort(), [ 2, 4 ])
+    r = await items.apiGetQuery(admin)
+    assert.strictEqual(r.data.length, 4)
+  })
+
+  it('does not apply to local requests', async () => {
+    await items.apiDelete(1)
+    assert.strictEqual(items.data.length, 3)
+  })
+})
+
+describe('field permissions', () => {
+  it('hides fields that the session cannot read', async () => {
+    var doc = await items.apiGet(1, user10)
+    assert.strictEqual(doc.notes, undefined)
+    doc = await items.apiGet(1, admin)
+    assert.strictEqual(doc.notes, 'secret')
+
+    var r = await items.apiGetQuery(user10)
+    assert.ok(r.data.every((doc) => typeof doc.notes === 'undefined'))
+  })
+
+  it('rejects writes to fields that the session cannot write', async () => {
+    await assert.rejects(items.apiPatch(1, { notes: 'mine' }, user10), (e) => status(422)(e) && e.errors[ 0 ].field === 'notes')
+    assert.strictEqual(items.data[ 0 ].notes, 'secret')
+    await items.apiPatch(1, { notes: 'ours' }, admin)
+    assert.strictEqual(items.data[ 0 ].notes, 'ours')
+  })
+
+  it('keeps unreadable fields when patching', async () => {
+    await items.apiPatch(1, { age: 41 }, user10)
+    assert.strictEqual(items.data[ 0 ].notes, 'secret')
+  })
+
+  it('rejects JSON patches on unreadable fields', async () => {
+    var patch = [ { op: 'copy', from: '/notes', path: '/name' } ]
+    await assert.rejects(items.apiPatch(1, patch, Object.assign({ patchType: 'json' }, user10)), status(422))
+    assert.strictEqual(items.data[ 0 ].name, 'Tony')
+  })
+
+  it('rejects queries and sorting on unreadable fields', async () => {
+    await assert.rejects(items.apiGetQuery(Object.assign({ sort: { notes: 1 } }, user10)), status(400))
+  })
+
+  it('only sets writeOnce fields when records are created', async () => {
+    var doc = await items.apiPost({ name: 'Dave', listId: 1, userId: 10, code: 'E' }, user10)
+    assert.strictEqual(doc.code, 'E')
+    await assert.rejects(items.apiPatch(doc.id, { code: 'F' }, user10), status(422))
+    await items.apiPatch(doc.id, { code: 'E', age: 1 }, user10)
+  })
+})
+
+describe('rate limits', () => {
+  beforeEach(() => {
+    items.rateLimits = [ { methods: [ 'get' ], max: 2, window: 60000 } ]
+    items.rateLimitCounter = new MemoryRateLimitCounter()
+  })
+
+  var get = (req) => runBatch([ { store: 'items', method: 'get', params: { id: 1 } } ], req).then((results) => results[ 0 ].status)
+
+  it('counts requests by user', async () => {
+    var req = { session: { user: 10 }, ip: '10.0.0.1' }
+    assert.deepStrictEqual([ await get(req), await get(req), await get(req) ], [ 200, 200, 429 ])
+    assert.strictEqual(await get({ session: { user: 20 }, ip: '10.0.0.1' }), 200)
+  })
+
+  it('counts anonymous requests by IP address', async () => {
+    var req = { session: {}, socket: { remoteAddress: '10.0.0.1' } }
+    assert.deepStrictEqual([ await get(req), await get(req), await get(req) ], [ 200, 200, 429 ])
+    assert.strictEqual(await get({ session: {}, socket: { remoteAddress: '10.0.0.2' } }), 200)
+  })
+
+  it('counts requests by the address of the connection, without req.ip', async () => {
+    items.rateLimits = [ { max: 1, window: 60000, by: 'ip' } ]
+    var req = { session: { user: 10 }, socket: { remoteAddress: '10.0.0.1' } }
+    assert.deepStrictEqual([ await get(req), await get(req) ], [ 200, 429 ])
+  })
+})
+
+describe('change events', () => {
+  it('have the stored record, whatever the writer can read', async () => {
+    var events = []
+    items.on('updated', (event) => events.push(event.doc))
+    var doc = await items.apiPatch(1, { age: 41 }, user10)
+    assert.strictEqual(doc.notes, undefined)
+    assert.strictEqual(events.length, 1)
+    assert.strictEqual(events[ 0 ].notes, 'secret')
+    assert.strictEqual(events[ 0 ].age, 41)
+  })
+
+  it('are sent without the fields each subscriber cannot read', async () => {
+    var sent = []
+    var subscriber = (session) => ({ params: {}, session, _res: { write: (data) => sent.push(data) } })
+    items.on('updated', (event) => {
+      items._sendEvent(subscriber(admin.session), event)
+      items._sendEvent(subscriber(user10.session), event)
+    })
+    await items.apiPatch(1, { age: 41 }, user10)
+    await new Promise((resolve) => setImmediate(resolve))
+    var docs = sent.map((data) => JSON.parse(data.split('data: ')[ 1 ]))
+    assert.deepStrictEqual(docs.map((doc) => doc.notes), [ 'secret', undefined ])
+  })
+})
+
+describe('including related records', () => {
+  class People extends HTTPMixin(MemoryStoreMixin(Store)) {
+    static get schema () {
+      return new Schema({
+        name: { type: 'string' },
+        email: { type: 'string', readRoles: [ 'admin' ] }
+      })
+    }
+
+    static get storeName () { return 'people' }
+    static get publicURL () { return '/people/:id' }
+    static get handleGet () { return true }
+    static get handleGetQuery () { return true }
+    static get permissions () { return { getQuery: [ { roles: [ 'admin' ] }, { owner: 'id' } ] } }
+    static get initialData () { return [ { id: 10, name: 'Tony', email: 'tony@example.com' }, { id: 20, name: 'Chiara', email: 'chiara@example.com' } ] }
+  }
+
+  class Notes extends HTTPMixin(MemoryStoreMixin(Store)) {
+    static get schema () {
+      return new Schema({
+        text: { type: 'string' },
+        authorId: { type: 'id', references: 'people' }
+      })
+    }
+
+    static get storeName () { return 'notes' }
+    static get publicURL () { return '/notes/:id' }
+    static get handleGet () { return true }
+    static get initialData () { return [ { id: 1, text: 'one', authorId: 10 }, { id: 2, text: 'two', authorId: 20 } ] }
+  }
+
+  var people
+  var notes
+  beforeEach(() => {
+    Store.deleteStore('people')
+    Store.deleteStore('notes')
+    people = new People()
+    notes = new Notes()
+  })
+
+  it('loads related records through the related store\'s pipeline', async () => {
+    var queries = 0
+    people.afterDbOperationQuery = async (request) => { queries++ }
+
+    var doc = await notes.apiGet(1, Object.assign({ include: 'author' }, user10))
+    assert.deepStrictEqual(doc.author, { id: 10, name: 'Tony' })
+    doc = await notes.apiGet(1, Object.assign({ include: 'author' }, admin))
+    assert.strictEqual(doc.author.email, 'tony@example.com')
+    assert.strictEqual(queries, 2)
+  })
+
+  it('includes records that the session cannot query as null', async () => {
+    var doc = await notes.apiGet(2, Object.assign({ include: 'author' }, user10))
+    assert.strictEqual(doc.author, null)
+  })
+
+  it('sends no ETag or Last-Modified, and no 304, for records with related records', async () => {
+    var send = async (include, ifNoneMatch) => {
+      var headers = {}
+      var res = { statusCode: null, setHeader: (k, v) => { headers[ k ] = v }, getHeader: (k) => headers[ k ], status (code) { this.statusCode = code; return this }, json () {}, end () {} }
+      var request = { remote: true, session: user10.session, params: { id: 1 }, body: {}, options: include ? { include } : {}, _req: { headers: ifNoneMatch ? { 'if-none-match': ifNoneMatch } : {} }, _res: res }
+      notes.protocolSendHTTP(request, 'get', await notes._makeGet(request))
+      return { etag: headers.ETag, status: res.statusCode }
+    }
+
+    var { etag } = await send()
+    assert.deepStrictEqual(await send(null, etag), { etag, status: 304 })
+    assert.deepStrictEqual(await send('author', etag), { etag: undefined, status: 200 })
+  })
+})
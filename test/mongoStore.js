@@ -0,0 +1,144 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+
+var { describe, it, beforeEach } = require('node:test')
+var assert = require('node:assert')
+
+var Schema = require('simpleschema2')
+var Store = require('../jsonreststores')
+var MongoStoreMixin = require('../MongoStoreMixin')
+
+// A collection (as made by the `mongodb` module) that keeps the calls made to
+// it, and answers them with answer(method, query): no server is needed
+class FakeCollection {
+  constructor () {
+    this.calls = []
+    this.answer = () => null
+  }
+
+  _call (method, args) {
+    this.calls.push(Object.assign({ method }, args))
+    return this.answer(method, args.query)
+  }
+
+  async findOne (query, options) { return this._call('findOne', { query, options }) || null }
+  async insertOne (doc) { return this._call('insertOne', { doc }) }
+  async updateOne (query, update) { return this._call('updateOne', { query, update }) }
+  async updateMany (query, update) { return this._call('updateMany', { query, update }) }
+  async deleteOne (query) { return this._call('deleteOne', { query }) }
+  async countDocuments (query) { return this._call('countDocuments', { query }) || 0 }
+
+  find (query, options) {
+    var call = { method: 'find', query, options }
+    this.calls.push(call)
+    var cursor = {
+      sort: (sort) => { call.sort = sort; return cursor },
+      skip: (skip) => { call.skip = skip; return cursor },
+      limit: (limit) => { call.limit = limit; return cursor },
+      toArray: async () => this.answer('find', query) || []
+    }
+    return cursor
+  }
+}
+
+class Items extends MongoStoreMixin(Store) {
+  static get schema () {
+    return new Schema({
+      name: { type: 'string', searchable: true, operators: [ 'like' ] },
+      age: { type: 'number', searchable: true, canBeNull: true, operators: [ 'gte' ] },
+      listId: { type: 'id', searchable: true },
+      version: { type: 'number' }
+    })
+  }
+
+  static get storeName () { return 'items' }
+  static get publicURL () { return '/items/:id' }
+  static get collection () { return 'items' }
+
+  static get versionField () { return 'version' }
+}
+
+var document = { _id: 2, name: 'Chiara', age: 30, listId: 1, version: 3 }
+
+var collection, items
+beforeEach(() => {
+  Store.deleteStore('items')
+  items = new Items()
+  collection = new FakeCollection()
+  items.connection = { collection: (name) => name === 'items' ? collection : null }
+})
+
+// Answers fetches of record 2 with `doc`, and writes with `count` matches
+var answerWrites = (doc, count) => (method) => {
+  if (method === 'findOne') return doc
+  if (method === 'updateOne') return { matchedCount: count }
+  if (method === 'deleteOne') return { deletedCount: count }
+}
+var call = (method) => collection.calls.find((c) => c.method === method)
+
+describe('building queries', () => {
+  it('turns documents into records', () => {
+    assert.deepStrictEqual(items._toRecord({ _id: 2, name: 'Chiara', other: 1 }), { id: 2, name: 'Chiara', age: null, listId: null, version: null })
+  })
+
+  it('updates records only if they still have the version they were fetched with', async () => {
+    collection.answer = answerWrites(document, 1)
+    await items.apiPatch(2, { age: 31 })
+    assert.deepStrictEqual(call('updateOne').query, { _id: 2, version: 3 })
+    assert.deepStrictEqual(call('updateOne').update, { $set: { name: 'Chiara', age: 31, listId: 1, version: 4 } })
+  })
+
+  it('treats records without a version as version 0', async () => {
+    var doc = Object.assign({}, document)
+    delete doc.version
+    collection.answer = answerWrites(doc, 1)
+    await items.apiPatch(2, { age: 31 }, { ifMatch: '0' })
+    assert.deepStrictEqual(call('updateOne').query, { _id: 2, version: { $in: [ 0, null ] } })
+
+    await items.apiDelete(2, { ifMatch: '0' })
+    assert.deepStrictEqual(call('deleteOne').query, { _id: 2, version: { $in: [ 0, null ] } })
+  })
+
+  it('rejects writes when the record changed after it was fetched', async () => {
+    collection.answer = answerWrites(document, 0)
+    await assert.rejects(items.apiPatch(2, { age: 31 }), (e) => Number(e.status) === 412)
+    await assert.rejects(items.apiDelete(2, { ifMatch: '3' }), (e) => Number(e.status) === 412)
+  })
+
+  it('turns LIKE patterns into regular expressions', () => {
+    assert.deepStrictEqual(items._likeToRegExp('50\\%_a.%'), /^50%.a\..*$/i)
+  })
+
+  it('translates conditions, filters and sorts', async () => {
+    collection.answer = (method) => method === 'find' ? [ document ] : method === 'countDocuments' ? 1 : null
+    var r = await items.apiGetQuery({
+      conditionsHash: { name: { like: 'c%' }, age: { gte: 20 } },
+      filter: { or: [ { listId: 1 }, { not: { age: { gte: 40 } } } ] },
+      sort: { age: 1, name: -1 },
+      ranges: { skip: 5, limit: 10 }
+    })
+    assert.deepStrictEqual(r.data, [ { id: 2, name: 'Chiara', age: 30, listId: 1, version: 3 } ])
+    assert.strictEqual(r.grandTotal, 1)
+
+    var query = {
+      $and: [
+        { name: { $regex: /^c.*$/i } },
+        { age: { $gte: 20 } },
+        { $or: [ { listId: 1 }, { $nor: [ { age: { $gte: 40 } } ] } ] }
+      ]
+    }
+    var find = call('find')
+    assert.deepStrictEqual(find.query, query)
+    assert.deepStrictEqual(find.sort, { age: -1, name: 1 })
+    assert.deepStrictEqual([ find.skip, find.limit ], [ 5, 10 ])
+    assert.deepStrictEqual(call('countDocuments').query, query)
+  })
+})
@@ -0,0 +1,147 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+
+var { describe, it, beforeEach } = require('node:test')
+var assert = require('node:assert')
+
+var Schema = require('simpleschema2')
+var Store = require('../jsonreststores')
+var PostgresStoreMixin = require('../PostgresStoreMixin')
+
+// A pool (as made by the `pg` module) that keeps the statements it runs,
+// and answers them with answer(sql, args): no server is needed
+class FakePool {
+  constructor () {
+    this.statements = []
+    this.released = 0
+    this.totalCount = 0
+    this.answer = () => null
+  }
+
+  async connect () {
+    return {
+      query: (sql, args) => this.query(sql, args),
+      release: () => { this.released++ }
+    }
+  }
+
+  async query (sql, args) {
+    this.statements.push({ sql, args })
+    return this.answer(sql, args) || { rows: [] }
+  }
+}
+
+class Items extends PostgresStoreMixin(Store) {
+  static get schema () {
+    return new Schema({
+      name: { type: 'string', searchable: true, operators: [ 'like' ] },
+      age: { type: 'number', searchable: true, canBeNull: true, operators: [ 'gte' ] },
+      listId: { type: 'id', searchable: true },
+      position: { type: 'number' },
+      version: { type: 'number' }
+    })
+  }
+
+  static get storeName () { return 'items' }
+  static get publicURL () { return '/items/:id' }
+  static get table () { return 'items' }
+
+  static get positionField () { return 'position' }
+  static get positionFilter () { return [ 'listId' ] }
+  static get versionField () { return 'version' }
+}
+
+var fields = '"id","name","age","listId","position","version"'
+var tableFields = 'items."id",items."name",items."age",items."listId",items."position",items."version"'
+var record = { id: 2, name: 'Chiara', age: 30, listId: 1, position: 2, version: 3 }
+
+var pool, items
+beforeEach(() => {
+  Store.deleteStore('items')
+  items = new Items()
+  pool = items.connection = new FakePool()
+})
+
+// Answers fetches of record 2 with `doc`, and updates with `rowCount` rows
+var answerUpdates = (doc, rowCount) => (sql) => {
+  if (/^SELECT .* WHERE items\."id" = \$1$/.test(sql)) return { rows: [ doc ] }
+  if (/^UPDATE items SET/.test(sql)) return { command: 'UPDATE', rowCount, rows: rowCount ? [ doc ] : [] }
+}
+var statement = (start) => pool.statements.find((s) => s.sql.startsWith(start))
+
+describe('building statements', () => {
+  it('numbers placeholders, leaving quoted ones alone', () => {
+    var sql = items._numberPlaceholders(`SELECT '?', "a?" FROM t WHERE a = ? AND b = 'it''s?' AND c = ?`)
+    assert.strictEqual(sql, `SELECT '?', "a?" FROM t WHERE a = $1 AND b = 'it''s?' AND c = $2`)
+  })
+
+  it('updates records only if they still have the version they were fetched with', async () => {
+    pool.answer = answerUpdates(record, 1)
+    await items.apiPatch(2, { age: 31 })
+    var update = statement('UPDATE items SET')
+    assert.ok(update.sql.endsWith(` WHERE "id" = $7 AND "version" = $8 RETURNING ${fields}`))
+    assert.deepStrictEqual(update.args.slice(-2), [ 2, 3 ])
+  })
+
+  it('treats records without a version as version 0', async () => {
+    pool.answer = answerUpdates(Object.assign({}, record, { version: null }), 1)
+    await items.apiPatch(2, { age: 31 }, { ifMatch: '0' })
+    var update = statement('UPDATE items SET')
+    assert.ok(update.sql.endsWith(` WHERE "id" = $7 AND ("version" = $8 OR "version" IS NULL) RETURNING ${fields}`))
+    assert.deepStrictEqual(update.args.slice(-2), [ 2, 0 ])
+  })
+
+  it('rejects updates when the record changed after it was fetched', async () => {
+    pool.answer = answerUpdates(record, 0)
+    await assert.rejects(items.apiPatch(2, { age: 31 }), (e) => Number(e.status) === 412)
+  })
+
+  it('translates conditions and sorts, placing NULL first', async () => {
+    pool.answer = (sql) => /COUNT/.test(sql) ? { rows: [ { grandTotal: '1' } ] } : null
+    var r = await items.apiGetQuery({ conditionsHash: { name: { like: 'a%' }, age: { gte: 20 } }, sort: { age: 1, name: -1 }, ranges: { skip: 0, limit: 10 } })
+    assert.strictEqual(r.grandTotal, 1)
+    assert.deepStrictEqual(pool.statements[ 0 ], {
+      sql: `SELECT ${tableFields} FROM items WHERE  1=1 AND "name" ILIKE $1 AND "age" >= $2  ORDER BY "age" DESC NULLS LAST,"name" ASC NULLS FIRST LIMIT $3 OFFSET $4`,
+      args: [ 'a%', 20, 10, 0 ]
+    })
+  })
+})
+
+describe('transactions', () => {
+  it('run writes with a client of their own, locking the table to work out positions', async () => {
+    pool.answer = (sql) => {
+      if (/^SELECT max/.test(sql)) return { rows: [ { maxPosition: 3 } ] }
+      if (/^INSERT/.test(sql)) return { command: 'INSERT', rowCount: 1, rows: [ { id: 5, name: 'Dave', age: null, listId: 1, position: 4, version: 1 } ] }
+    }
+    var doc = await items.apiPost({ name: 'Dave', listId: 1 })
+    assert.strictEqual(doc.id, 5)
+    assert.deepStrictEqual(pool.statements.map((s) => s.sql.split(' (')[ 0 ]), [
+      'BEGIN',
+      'LOCK TABLE items IN SHARE ROW EXCLUSIVE MODE',
+      'SELECT max("position") as "maxPosition" FROM items WHERE ',
+      'INSERT INTO items',
+      'COMMIT'
+    ])
+    assert.deepStrictEqual(statement('INSERT').args, [ 'Dave', 1, 1, 4 ])
+    assert.strictEqual(pool.released, 1)
+  })
+
+  it('roll back writes whose request fails', async () => {
+    var events = []
+    items.on('updated', () => events.push('updated'))
+    items.afterDbOperationUpdate = async () => { throw new Error('Failed after the update') }
+    pool.answer = answerUpdates(record, 1)
+    await assert.rejects(items.apiPatch(2, { age: 31 }), /Failed after the update/)
+    assert.strictEqual(pool.statements[ pool.statements.length - 1 ].sql, 'ROLLBACK')
+    assert.strictEqual(pool.released, 1)
+    assert.deepStrictEqual(events, [])
+  })
+})
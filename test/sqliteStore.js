@@ -0,0 +1,215 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+
+var { describe, it, beforeEach } = require('node:test')
+var assert = require('node:assert')
+var sqlite3 = require('sqlite3')
+
+var Schema = require('simpleschema2')
+var Store = require('../jsonreststores')
+var SqliteStoreMixin = require('../SqliteStoreMixin')
+
+var db
+
+class Items extends SqliteStoreMixin(Store) {
+  static get schema () {
+    return new Schema({
+      name: { type: 'string', searchable: true, required: true, operators: [ 'like' ] },
+      age: { type: 'number', searchable: true, canBeNull: true, operators: [ 'gte', 'lt' ] },
+      listId: { type: 'id', searchable: true },
+      position: { type: 'number' },
+      version: { type: 'number' }
+    })
+  }
+
+  static get storeName () { return 'items' }
+  static get publicURL () { return '/items/:id' }
+  static get table () { return 'items' }
+
+  static get positionField () { return 'position' }
+  static get positionFilter () { return [ 'listId' ] }
+  static get versionField () { return 'version' }
+}
+
+class Tags extends SqliteStoreMixin(Store) {
+  static get schema () {
+    return new Schema({
+      code: { type: 'string' },
+      label: { type: 'string' }
+    })
+  }
+
+  static get storeName () { return 'tags' }
+  static get publicURL () { return '/tags/:code' }
+  static get table () { return 'tags' }
+}
+
+var exec = (sql) => new Promise((resolve, reject) => db.exec(sql, (err) => err ? reject(err) : resolve()))
+var all = (sql) => new Promise((resolve, reject) => db.all(sql, (err, rows) => err ? reject(err) : resolve(rows)))
+
+var items, tags
+beforeEach(async () => {
+  db = new sqlite3.Database(':memory:')
+  await exec(`
+    CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT, age INTEGER, listId INTEGER, position INTEGER, version INTEGER);
+    CREATE TABLE tags (code TEXT PRIMARY KEY, label TEXT);
+    INSERT INTO items VALUES
+      (1, 'Tony', 40, 1, 1, 1),
+      (2, 'Chiara', 30, 1, 2, 1),
+      (3, 'Bob', NULL, 1, 3, 1),
+      (4, 'Ann', 20, 2, 1, 1);
+  `)
+
+  Store.deleteStore('items')
+  Store.deleteStore('tags')
+  items = new Items()
+  tags = new Tags()
+  items.connection = db
+  tags.connection = db
+})
+
+// HTTP errors have their status as a string
+var status = (code) => (e) => Number(e.status) === code
+var ids = (docs) => docs.map((doc) => doc.id)
+var positions = async (listId) => ids(await all(`SELECT id FROM items WHERE listId = ${listId} ORDER BY position`))
+
+describe('put and post', () => {
+  it('creates records, with the next id and the last position', async () => {
+    var doc = await items.apiPost({ name: 'Dave', listId: 1 })
+    assert.strictEqual(doc.id, 5)
+    assert.strictEqual(doc.position, 4)
+    assert.strictEqual(doc.version, 1)
+    assert.strictEqual(doc.age, null)
+  })
+
+  it('places records before the record in beforeId', async () => {
+    await items.apiPost({ name: 'Dave', listId: 1, beforeId: 2 })
+    assert.deepStrictEqual(await positions(1), [ 1, 5, 2, 3 ])
+  })
+
+  it('returns records inserted with their own id', async () => {
+    var doc = await tags.apiPost({ code: 'red', label: 'Red' })
+    assert.deepStrictEqual(doc, { code: 'red', label: 'Red' })
+    doc = await tags.apiPut({ code: 'blue', label: 'Blue' })
+    assert.deepStrictEqual(doc, { code: 'blue', label: 'Blue' })
+  })
+
+  it('increments the version at every write', async () => {
+    var doc = await items.apiPut({ id: 2, name: 'Chiara', listId: 1 })
+    assert.strictEqual(doc.version, 2)
+  })
+
+  it('applies merge patches, leaving the other fields alone', async () => {
+    var doc = await items.apiPatch(2, { age: 31 })
+    assert.strictEqual(doc.age, 31)
+    assert.strictEqual(doc.name, 'Chiara')
+    assert.strictEqual(doc.version, 2)
+  })
+
+  it('deletes records', async () => {
+    var doc = await items.apiDelete(2)
+    assert.strictEqual(doc.name, 'Chiara')
+    assert.deepStrictEqual(await positions(1), [ 1, 3 ])
+    await assert.rejects(items.apiGet(2), status(404))
+  })
+})
+
+describe('If-Match', () => {
+  it('writes when the version matches', async () => {
+    var doc = await items.apiPatch(2, { age: 31 }, { ifMatch: '1' })
+    assert.strictEqual(doc.version, 2)
+  })
+
+  it('rejects writes when the version does not match', async () => {
+    await assert.rejects(items.apiPatch(2, { age: 31 }, { ifMatch: '7' }), status(412))
+    assert.strictEqual((await items.apiGet(2)).age, 30)
+  })
+
+  it('rejects writes when the record changes after it is fetched', async () => {
+    items.beforeDbOperationUpdate = async (request) => { await exec('UPDATE items SET version = 9 WHERE id = 3') }
+    await assert.rejects(items.apiPut({ id: 3, name: 'Robert', listId: 1 }), status(412))
+    assert.strictEqual((await items.apiGet(3)).name, 'Bob')
+  })
+
+  it('treats records without a version as version 0', async () => {
+    await exec('UPDATE items SET version = NULL WHERE id IN (2, 3)')
+    var doc = await items.apiPatch(2, { age: 31 }, { ifMatch: '0' })
+    assert.strictEqual(doc.version, 1)
+    doc = await items.apiPut({ id: 3, name: 'Bob', listId: 1 })
+    assert.strictEqual(doc.version, 1)
+
+    await exec('UPDATE items SET version = NULL WHERE id = 2')
+    await items.apiDelete(2, { ifMatch: '0' })
+    assert.deepStrictEqual(ids(await all('SELECT id FROM items')), [ 1, 3, 4 ])
+  })
+})
+
+describe('queries', () => {
+  it('filters with conditionsHash', async () => {
+    var r = await items.apiGetQuery({ conditionsHash: { listId: 1 } })
+    assert.deepStrictEqual(ids(r.data).sort(), [ 1, 2, 3 ])
+    assert.strictEqual(r.grandTotal, 3)
+  })
+
+  it('filters with operators', async () => {
+    var r = await items.apiGetQuery({ conditionsHash: { age: { gte: 30 } } })
+    assert.deepStrictEqual(ids(r.data).sort(), [ 1, 2 ])
+  })
+
+  it('filters with and, or and not', async () => {
+    var r = await items.apiGetQuery({ filter: { or: [ { name: { like: 'b%' } }, { and: [ { age: { gte: 20 } }, { not: { age: { gte: 30 } } } ] } ] } })
+    assert.deepStrictEqual(ids(r.data).sort(), [ 3, 4 ])
+  })
+
+  it('sorts and paginates', async () => {
+    var r = await items.apiGetQuery({ sort: { age: -1 }, ranges: { skip: 1, limit: 2 } })
+    assert.deepStrictEqual(ids(r.data), [ 4, 2 ])
+    assert.strictEqual(r.grandTotal, 4)
+  })
+})
+
+describe('transactions', () => {
+  it('roll back every write of a request that fails', async () => {
+    items.afterDbOperationInsert = async (request) => {
+      await tags.apiPost({ code: 'new', label: 'New' })
+      throw new Error('Failed after the insert')
+    }
+    await assert.rejects(items.apiPost({ name: 'Dave', listId: 1, beforeId: 1 }), /Failed after the insert/)
+    assert.deepStrictEqual(await positions(1), [ 1, 2, 3 ])
+    assert.deepStrictEqual(await all('SELECT * FROM tags'), [])
+  })
+
+  it('emit change events once committed, and never if rolled back', async () => {
+    var events = []
+    items.on('inserted', (event) => events.push(event.doc.name))
+    items.afterDbOperationInsert = async (request) => {
+      events.push('insert')
+      if (request.body.name === 'Fail') throw new Error('Failed after the insert')
+    }
+    await items.apiPost({ name: 'Dave', listId: 1 })
+    await assert.rejects(items.apiPost({ name: 'Fail', listId: 1 }), /Failed after the insert/)
+    assert.deepStrictEqual(events, [ 'insert', 'Dave', 'insert' ])
+  })
+
+  it('hide uncommitted writes from other requests', async () => {
+    var updated
+    var running = new Promise((resolve) => { updated = resolve })
+    items.afterDbOperationUpdate = async (request) => {
+      updated()
+      await new Promise((resolve) => setTimeout(resolve, 10))
+      throw new Error('Failed after the update')
+    }
+    var write = assert.rejects(items.apiPatch(2, { age: 31 }), /Failed after the update/)
+    await running
+    assert.strictEqual((await items.apiGet(2)).age, 30)
+    await write
+  })
+})
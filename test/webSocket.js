@@ -0,0 +1,84 @@
+/*
+Copyright (C) 2016 Tony Mobily
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+var { describe, it, before, after } = require('node:test')
+var assert = require('node:assert')
+var http = require('http')
+var { WebSocketServer, WebSocket } = require('ws')
+
+var Schema = require('simpleschema2')
+var Store = require('../jsonreststores')
+var MemoryStoreMixin = require('../MemoryStoreMixin')
+var WebSocketMixin = require('../WebSocketMixin')
+
+var errors = []
+
+class Things extends WebSocketMixin(MemoryStoreMixin(Store)) {
+  static get schema () { return new Schema({ name: { type: 'string' } }) }
+  static get storeName () { return 'things' }
+  static get paramIds () { return [ 'id' ] }
+  static get handleGet () { return true }
+  static get initialData () { return [ { id: 1, name: 'one' } ] }
+  logError (request, error) { errors.push({ request, error }) }
+}
+
+describe('WebSocket', () => {
+  var server
+  var url
+
+  before(async () => {
+    server = http.createServer()
+    new Things().protocolListenWS({ wss: new WebSocketServer({ server }) })
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    url = 'ws://127.0.0.1:' + server.address().port
+  })
+
+  after(() => new Promise((resolve) => server.close(resolve)))
+
+  // Connects, resolving with the socket once it's open
+  var connect = () => new Promise((resolve, reject) => {
+    var ws = new WebSocket(url)
+    ws.once('open', () => resolve(ws))
+    ws.once('error', reject)
+  })
+
+  // Sends `message`, resolving with the reply
+  var send = (ws, message) => new Promise((resolve) => {
+    ws.once('message', (data) => resolve(JSON.parse(String(data))))
+    ws.send(JSON.stringify(message))
+  })
+
+  it('replies to messages', async () => {
+    var ws = await connect()
+    var reply = await send(ws, { id: 'a', store: 'things', method: 'get', params: { id: 1 } })
+    assert.deepStrictEqual([ reply.id, reply.status, reply.body ], [ 'a', 200, { id: 1, name: 'one' } ])
+    ws.close()
+  })
+
+  it('logs socket errors and closes the socket, without crashing', async () => {
+    var ws = await connect()
+    var closed = new Promise((resolve) => ws.once('close', resolve))
+    ws.on('error', () => {})
+
+    // A frame with the reserved bits set, which the server rejects
+    ws._socket.write(Buffer.from([ 0xf1, 0x80, 0, 0, 0, 0 ]))
+    await closed
+
+    assert.strictEqual(errors.length, 1)
+    assert.strictEqual(errors[ 0 ].request.protocol, 'WS')
+    assert.ok(errors[ 0 ].error instanceof Error)
+
+    // The server is still up
+    ws = await connect()
+    var reply = await send(ws, { id: 'b', store: 'things', method: 'get', params: { id: 1 } })
+    assert.strictEqual(reply.status, 200)
+    ws.close()
+  })
+})